@@ -0,0 +1,201 @@
+// The attention analytics report for the tracking sketch (see analytics.js). Turn the Analytics
+// setting on (or open the page with ?analytics=on) to add up what the camera sees, and press A for
+// the report: the motion heatmap over the face, the engagements and the busiest hours, with
+// buttons to export them as CSV or JSON. The totals are kept in this browser's storage and never
+// leave the machine, so they survive restarts of a kiosk.
+
+const ANALYTICS_STORAGE_KEY = 'eyes-on-you.analytics';
+
+let analyticsOn = false; // Whether the camera's frames are added up
+let analyticsSaveInterval = 60000; // Milliseconds between saving the totals
+
+/**
+ * The totals kept in storage, or empty ones.
+ * @returns {AttentionAnalytics}
+ */
+function loadAnalytics() {
+  try {
+    return new AttentionAnalytics(JSON.parse(localStorage.getItem(ANALYTICS_STORAGE_KEY)));
+  } catch (error) {
+    console.warn('Ignoring unreadable analytics', error);
+  }
+  return new AttentionAnalytics();
+}
+
+function saveAnalytics(analytics) {
+  localStorage.setItem(ANALYTICS_STORAGE_KEY, JSON.stringify(analytics));
+}
+
+/**
+ * A duration for the report, e.g. '42 s', '3 min 05 s' or '2 h 10 min'.
+ */
+function formatDuration(milliseconds) {
+  let seconds = round(milliseconds / 1000);
+  if (seconds < 60) {
+    return seconds + ' s';
+  }
+  if (seconds < 3600) {
+    return floor(seconds / 60) + ' min ' + nf(seconds % 60, 2) + ' s';
+  }
+  return floor(seconds / 3600) + ' h ' + nf(floor(seconds / 60) % 60, 2) + ' min';
+}
+
+class AnalyticsReport {
+  constructor() {
+    this.analytics = loadAnalytics();
+    this.isOpen = false;
+    this.bar = null; // The export buttons, while the report is open
+    this.lastSaved = 0;
+    this.changed = false; // Whether there is anything new to save
+    window.addEventListener('pagehide', () => this.save());
+  }
+
+  toggle() {
+    this.isOpen = !this.isOpen;
+    if (!this.isOpen) {
+      this.bar.remove();
+      this.bar = null;
+      return;
+    }
+    this.bar = createDiv().class('analytics-bar');
+    createButton('Hours CSV').parent(this.bar).mouseClicked(() => this.download(this.analytics.hoursCsv(), 'text/csv', 'hours', 'csv'));
+    createButton('Engagements CSV').parent(this.bar).mouseClicked(() => this.download(this.analytics.engagementsCsv(), 'text/csv', 'engagements', 'csv'));
+    createButton('JSON').parent(this.bar).mouseClicked(() => this.download(JSON.stringify(this.analytics, null, 2), 'application/json', 'all', 'json'));
+    createButton('Reset').parent(this.bar).mouseClicked(() => {
+      if (confirm('Forget all the analytics since ' + new Date(this.analytics.since).toLocaleString() + '?')) {
+        this.analytics.reset();
+        this.changed = true;
+        this.save();
+      }
+    });
+  }
+
+  /**
+   * Adds the tracker's latest frame while the analytics are on and the camera is being tracked.
+   * Call every drawn frame.
+   * @param {Object} result - The tracker's latest result, or null.
+   * @param {boolean} active - Whether the result comes from the camera, awake and calibrated.
+   */
+  update(result, active) {
+    if (analyticsOn && active) {
+      this.analytics.update(result, width, height);
+      this.changed = true;
+    } else {
+      this.analytics.pause();
+    }
+    if (millis() - this.lastSaved > analyticsSaveInterval) {
+      this.save();
+    }
+  }
+
+  save() {
+    this.lastSaved = millis();
+    if (!this.changed) {
+      return;
+    }
+    this.changed = false;
+    try {
+      saveAnalytics(this.analytics);
+    } catch (error) {
+      console.warn('Could not save the analytics', error);
+    }
+  }
+
+  // --- Report ---
+
+  /**
+   * Draws the heatmap over the face and the figures in a panel on the right.
+   */
+  draw() {
+    push();
+    this.drawHeatmap();
+    this.drawPanel();
+    pop();
+  }
+
+  drawHeatmap() {
+    let heat = this.analytics.normalisedHeat();
+    let cellWidth = width / analyticsColumns;
+    let cellHeight = height / analyticsRows;
+    let cool = color(255, 220, 0);
+    let hot = color(230, 0, 0);
+    noStroke();
+    for (let row = 0; row < analyticsRows; row++) {
+      for (let column = 0; column < analyticsColumns; column++) {
+        let value = heat[row * analyticsColumns + column];
+        if (value < 0.02) {
+          continue;
+        }
+        let c = lerpColor(cool, hot, value);
+        c.setAlpha(60 + value * 140);
+        fill(c);
+        rect(column * cellWidth, row * cellHeight, cellWidth, cellHeight);
+      }
+    }
+  }
+
+  drawPanel() {
+    let summary = this.analytics.summary();
+    let panelWidth = 300;
+    let x = width - panelWidth - 20;
+    let y = 20;
+    noStroke();
+    fill(0, 190);
+    rect(x - 15, y - 15, panelWidth + 30, 330, 8);
+
+    fill(255);
+    textAlign(LEFT, TOP);
+    textSize(18);
+    text('Attention analytics', x, y);
+    textSize(13);
+    y += 28;
+    let lines = [
+      'Since ' + new Date(summary.since).toLocaleString() + (analyticsOn ? '' : '  (paused)'),
+      summary.engagements + ' engagements, ' + formatDuration(summary.dwell) + ' watched',
+      'Average ' + formatDuration(summary.averageDwell) + ', longest ' + formatDuration(summary.longestDwell),
+      'Busiest hours: ' + (summary.peakHours.length ? summary.peakHours.map(hour => nf(hour.hour, 2) + ':00 (' + hour.engagements + ')').join(', ') : 'none yet')
+    ];
+    for (let entry of lines) {
+      text(entry, x, y);
+      y += 20;
+    }
+
+    // Engagements by hour of the day
+    y += 10;
+    text('Engagements by hour', x, y);
+    y += 20;
+    let chartHeight = 110;
+    let hours = this.analytics.hoursOfDay();
+    let most = max(1, ...hours.map(hour => hour.engagements));
+    let barWidth = panelWidth / 24;
+    let peaks = summary.peakHours.map(hour => hour.hour);
+    for (let hour of hours) {
+      let barHeight = hour.engagements / most * chartHeight;
+      fill(peaks.includes(hour.hour) ? color(230, 60, 0) : color(255, 200, 0));
+      rect(x + hour.hour * barWidth + 1, y + chartHeight - barHeight, barWidth - 2, barHeight);
+    }
+    stroke(255, 120);
+    line(x, y + chartHeight, x + panelWidth, y + chartHeight);
+    noStroke();
+    fill(255);
+    textSize(11);
+    textAlign(CENTER, TOP);
+    for (let hour = 0; hour < 24; hour += 6) {
+      text(nf(hour, 2), x + (hour + 0.5) * barWidth, y + chartHeight + 4);
+    }
+  }
+
+  // --- Files ---
+
+  /**
+   * Saves an export, e.g. as eyes-on-you-analytics-hours-2024-05-01-14-03-22.csv.
+   */
+  download(content, type, part, extension) {
+    let time = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type: type }));
+    link.download = 'eyes-on-you-analytics-' + part + '-' + time + '.' + extension;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+}
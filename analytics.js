@@ -0,0 +1,221 @@
+// Attention analytics for the tracking sketch: what the tracker saw, added up over days so venues
+// can be shown how visitors met the piece. Everything stays on this machine (see
+// analytics-report.js for the report, the exports and where it is kept).
+//   heatmap      where motion occurred, as motion cells per frame on a grid over the canvas
+//   engagements  each time the eyes took someone on, from the target being acquired until it
+//                was lost or another one took over, with how long they were watched
+//   hours        engagements, time watched and motion per hour of each day, in local time
+
+const ANALYTICS_FORMAT = 'eyes-on-you-analytics';
+
+let analyticsColumns = 40; // Heatmap cells across the canvas
+let analyticsRows = 30; // Heatmap cells down the canvas
+let analyticsMinDwell = 1000; // Milliseconds someone must be watched for to count as an engagement
+let analyticsMaxEngagements = 5000; // Engagements kept one by one; older ones only stay in the hours
+
+/**
+ * The hour bucket a moment falls in, in local time, e.g. '2024-05-01 14'.
+ * @param {number} timestamp - Milliseconds since 1970.
+ */
+function analyticsHourKey(timestamp) {
+  let date = new Date(timestamp);
+  let two = value => String(value).padStart(2, '0');
+  return date.getFullYear() + '-' + two(date.getMonth() + 1) + '-' + two(date.getDate()) + ' ' + two(date.getHours());
+}
+
+class AttentionAnalytics {
+  /**
+   * @param {Object} [data] - Earlier totals, from toJSON().
+   */
+  constructor(data) {
+    this.reset();
+    if (data && data.format === ANALYTICS_FORMAT && data.columns === analyticsColumns && data.rows === analyticsRows) {
+      this.since = data.since;
+      this.frames = data.frames;
+      this.heat = Float64Array.from(data.heat);
+      this.engagements = data.engagements;
+      this.hours = data.hours;
+    }
+  }
+
+  /**
+   * Forgets everything.
+   * @param {number} [now] - Milliseconds since 1970, when the new totals start.
+   */
+  reset(now = Date.now()) {
+    this.since = now;
+    this.frames = 0; // Frames added up
+    this.heat = new Float64Array(analyticsColumns * analyticsRows);
+    this.engagements = []; // { start, end, dwell, x, y } with start and end in milliseconds since 1970
+    this.hours = {}; // { engagements, dwell, motion } by analyticsHourKey()
+    this.current = null; // { id, start, firstSeen, x, y } while someone is watched
+    this.lastResult = null;
+  }
+
+  /**
+   * Adds a processed frame. Call every drawn frame; a result already seen is skipped.
+   * @param {Object} result - The tracker's latest result, or null.
+   * @param {number} viewWidth - The canvas's size, which the result's positions are in.
+   * @param {number} viewHeight
+   * @param {number} [now] - Milliseconds since 1970.
+   */
+  update(result, viewWidth, viewHeight, now = Date.now()) {
+    if (!result || result === this.lastResult) {
+      return;
+    }
+    this.lastResult = result;
+    this.frames++;
+
+    let motion = 0;
+    for (let blob of result.blobs) {
+      let column = Math.floor(blob.x / viewWidth * analyticsColumns);
+      let row = Math.floor(blob.y / viewHeight * analyticsRows);
+      if (column >= 0 && column < analyticsColumns && row >= 0 && row < analyticsRows) {
+        this.heat[row * analyticsColumns + column] += blob.count;
+      }
+      motion += blob.count;
+    }
+    this.hour(now).motion += motion;
+
+    let target = result.target;
+    if (this.current && (!target || target.id !== this.current.id)) {
+      this.endEngagement(result.time, now);
+    }
+    if (target && !this.current) {
+      // The target was picked a little after it was first seen, so the engagement starts then
+      this.current = { id: target.id, start: now - (result.time - target.firstSeen), firstSeen: target.firstSeen, x: target.x / viewWidth, y: target.y / viewHeight };
+    }
+  }
+
+  /**
+   * Ends the engagement in progress, e.g. while the tracker is not running.
+   * @param {number} [time] - The tracker's time when it ended, in milliseconds; the last result's if left out.
+   * @param {number} [now] - Milliseconds since 1970.
+   */
+  pause(time, now = Date.now()) {
+    if (this.current) {
+      this.endEngagement(time === undefined ? this.lastResult.time : time, now);
+    }
+    this.lastResult = null;
+  }
+
+  endEngagement(time, now) {
+    let engagement = this.current;
+    this.current = null;
+    let dwell = time - engagement.firstSeen;
+    if (dwell < analyticsMinDwell) {
+      return;
+    }
+    let hour = this.hour(engagement.start);
+    hour.engagements++;
+    hour.dwell += dwell;
+    this.engagements.push({ start: engagement.start, end: now, dwell: dwell, x: engagement.x, y: engagement.y });
+    if (this.engagements.length > analyticsMaxEngagements) {
+      this.engagements.shift();
+    }
+  }
+
+  hour(timestamp) {
+    let key = analyticsHourKey(timestamp);
+    if (!this.hours[key]) {
+      this.hours[key] = { engagements: 0, dwell: 0, motion: 0 };
+    }
+    return this.hours[key];
+  }
+
+  /**
+   * The heatmap scaled so its busiest cell is 1.
+   * @returns {Float64Array} analyticsColumns * analyticsRows values, row by row.
+   */
+  normalisedHeat() {
+    let highest = Math.max(...this.heat);
+    return this.heat.map(value => highest > 0 ? value / highest : 0);
+  }
+
+  /**
+   * The totals over every day, by hour of the day.
+   * @returns {Object[]} 24 of { hour, engagements, dwell, motion }, from midnight on.
+   */
+  hoursOfDay() {
+    let hours = Array.from({ length: 24 }, (_, hour) => ({ hour: hour, engagements: 0, dwell: 0, motion: 0 }));
+    for (let [key, bucket] of Object.entries(this.hours)) {
+      let total = hours[Number(key.slice(11))];
+      total.engagements += bucket.engagements;
+      total.dwell += bucket.dwell;
+      total.motion += bucket.motion;
+    }
+    return hours;
+  }
+
+  /**
+   * The busiest hours of the day, by engagements and then by motion.
+   * @param {number} [count=3]
+   */
+  peakHours(count = 3) {
+    return this.hoursOfDay()
+      .filter(hour => hour.engagements > 0 || hour.motion > 0)
+      .sort((a, b) => b.engagements - a.engagements || b.motion - a.motion)
+      .slice(0, count);
+  }
+
+  /**
+   * @returns {Object} { since, frames, engagements, dwell, averageDwell, longestDwell, peakHours } with
+   *   times in milliseconds.
+   */
+  summary() {
+    let buckets = Object.values(this.hours);
+    let engagements = buckets.reduce((sum, bucket) => sum + bucket.engagements, 0);
+    let dwell = buckets.reduce((sum, bucket) => sum + bucket.dwell, 0);
+    return {
+      since: this.since,
+      frames: this.frames,
+      engagements: engagements,
+      dwell: dwell,
+      averageDwell: engagements ? dwell / engagements : 0,
+      longestDwell: this.engagements.reduce((longest, engagement) => Math.max(longest, engagement.dwell), 0),
+      peakHours: this.peakHours()
+    };
+  }
+
+  /**
+   * Everything, for storage and the JSON export.
+   */
+  toJSON() {
+    return {
+      format: ANALYTICS_FORMAT,
+      version: 1,
+      since: this.since,
+      frames: this.frames,
+      columns: analyticsColumns,
+      rows: analyticsRows,
+      heat: Array.from(this.heat),
+      engagements: this.engagements,
+      hours: this.hours,
+      summary: this.summary()
+    };
+  }
+
+  /**
+   * The hours as CSV, one line per hour of each day with anything in it.
+   */
+  hoursCsv() {
+    let lines = ['date,hour,engagements,seconds watched,average seconds watched,motion cells'];
+    for (let key of Object.keys(this.hours).sort()) {
+      let bucket = this.hours[key];
+      let average = bucket.engagements ? bucket.dwell / bucket.engagements : 0;
+      lines.push([key.slice(0, 10), key.slice(11), bucket.engagements, (bucket.dwell / 1000).toFixed(1), (average / 1000).toFixed(1), bucket.motion].join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * The engagements as CSV, one line each, with where they started in fractions of the canvas.
+   */
+  engagementsCsv() {
+    let lines = ['start,end,seconds watched,x,y'];
+    for (let engagement of this.engagements) {
+      lines.push([new Date(engagement.start).toISOString(), new Date(engagement.end).toISOString(), (engagement.dwell / 1000).toFixed(1), engagement.x.toFixed(3), engagement.y.toFixed(3)].join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+}
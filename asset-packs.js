@@ -0,0 +1,215 @@
+// Eye asset packs: swappable looks for the eyes, listed under `packs` in portraits.json. A pack
+// gives the images for each layer of an eye, from the back:
+// {
+//   id, name,
+//   background,  // Optional image covering the canvas, or [r, g, b]; white without it
+//   sclera,      // Optional layer: the eye white; a plain white eye without it
+//   pupil,       // Layer: the pupil, moved by the gaze
+//   frame,       // Optional layer drawn over the pupil with a hole for it, e.g. the skin around the eye
+//   lid          // Optional { image, crop } of skin slid over the eye by the eyelids
+// }
+// where a layer is { image, crop: [x, y, w, h], scale, pivot: [dx, dy] }: its width as a multiple
+// of the eye's width, and the offset of its centre from the eye's centre when looking straight
+// ahead, also in eye widths. The crop defaults to the whole image, the scale to 1 and the pivot to
+// [0, 0]. An eye's width is its eye white's: the disc of a gallery eye, or a portrait's socket.
+// Portraits keep their own frame and background, and gallery eyes have no lids.
+//
+// Packs load lazily, the first time they are chosen. A layer whose image is missing falls back to
+// the one it replaces: the default pack's in the gallery, the portrait's own in a portrait.
+// The choice is kept in this browser: one for the gallery, which portraits follow too, and one
+// per portrait, which wins over it. Press Y in the gallery or in a portrait to switch, or open
+// either with ?pack=<id> (?pack=own for a portrait's own eyes).
+
+const PACK_STORAGE_KEY = 'eyes-on-you.packs';
+const PACK_LAYERS = ['sclera', 'pupil', 'frame', 'lid'];
+
+let unsavedPackChoices = null; // The choices, while they cannot be stored (private browsing, or storage full)
+
+/**
+ * The packs chosen in this browser.
+ * @returns {{gallery: string|null, portraits: Object}} The gallery-wide pack, or null for the
+ *   defaults, and each portrait's pack by portrait id, 'own' for its own eyes.
+ */
+function loadPackChoices() {
+  if (unsavedPackChoices) {
+    return JSON.parse(unsavedPackChoices);
+  }
+  try {
+    let stored = JSON.parse(localStorage.getItem(PACK_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return { gallery: stored.gallery || null, portraits: stored.portraits || {} };
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable pack choices', error);
+  }
+  return { gallery: null, portraits: {} };
+}
+
+/**
+ * Remembers the chosen packs. Without storage they last until the page is closed.
+ */
+function savePackChoices(choices) {
+  try {
+    localStorage.setItem(PACK_STORAGE_KEY, JSON.stringify(choices));
+    unsavedPackChoices = null;
+  } catch (error) {
+    console.warn('Could not remember the chosen packs', error);
+    unsavedPackChoices = JSON.stringify(choices);
+  }
+}
+
+/**
+ * The pack a portrait is drawn with: its own choice, or else the gallery's.
+ * @returns {string|null} A pack id, or null for the portrait's own eyes.
+ */
+function portraitPackId(choices, portraitId) {
+  let choice = choices.portraits[portraitId] || choices.gallery;
+  return choice === 'own' ? null : choice;
+}
+
+class AssetPacks {
+  /**
+   * @param {Object[]} [entries] - The `packs` list from portraits.json.
+   */
+  constructor(entries = []) {
+    this.entries = entries;
+    this.packs = new Map(); // Loaded and loading packs, by id
+  }
+
+  get ids() {
+    return this.entries.map(entry => entry.id);
+  }
+
+  has(id) {
+    return this.entries.some(entry => entry.id === id);
+  }
+
+  /**
+   * Starts loading a pack the first time it is asked for. Can be called from preload() (or a
+   * preload callback) to have the pack ready by setup().
+   * @param {string} id
+   * @param {function(Object)} [callback] - Called with the pack once all of its images have
+   *   loaded or failed; straight away if they already have.
+   * @returns {Object|null} The pack, whose images may still be loading, or null if there is no such pack.
+   */
+  load(id, callback) {
+    let entry = this.entries.find(candidate => candidate.id === id);
+    if (!entry) {
+      console.warn('Unknown asset pack ' + id + ', expected one of ' + this.ids.join(', '));
+      return null;
+    }
+    let pack = this.packs.get(id);
+    if (!pack) {
+      pack = this.startLoading(entry);
+      this.packs.set(id, pack);
+    }
+    if (callback) {
+      if (pack.ready) {
+        callback(pack);
+      } else {
+        pack.callbacks.push(callback);
+      }
+    }
+    return pack;
+  }
+
+  startLoading(entry) {
+    let pack = { id: entry.id, name: entry.name || entry.id, background: null, missing: [], ready: false, callbacks: [] };
+    let pending = 1;
+    let settled = () => {
+      pending--;
+      if (pending === 0) {
+        pack.ready = true;
+        pack.callbacks.forEach(callback => callback(pack));
+        pack.callbacks = [];
+      }
+    };
+    let load = (name, path, onLoad) => {
+      pending++;
+      loadImage(path, img => {
+        onLoad(img);
+        settled();
+      }, () => {
+        console.warn('Asset pack ' + entry.id + ' is missing ' + path + '; using the default instead');
+        pack.missing.push(name);
+        settled();
+      });
+    };
+
+    for (let name of PACK_LAYERS) {
+      pack[name] = null; // Set once the layer's image has loaded
+      let layer = entry[name];
+      if (layer && layer.image) {
+        load(name, layer.image, img => {
+          pack[name] = {
+            image: img,
+            crop: layer.crop || [0, 0, img.width, img.height],
+            scale: layer.scale || 1,
+            pivot: layer.pivot || [0, 0]
+          };
+        });
+      }
+    }
+    if (Array.isArray(entry.background)) {
+      pack.background = entry.background;
+    } else if (entry.background) {
+      load('background', entry.background, img => {
+        pack.background = img;
+      });
+    }
+    settled();
+    return pack;
+  }
+}
+
+/**
+ * One of a pack's layers, or the fallback pack's if the pack's image is missing. The pupil
+ * always falls back, as every eye needs one.
+ * @param {Object} pack - A loaded pack.
+ * @param {string} name - 'sclera', 'pupil', 'frame' or 'lid'.
+ * @param {Object} [fallback] - The loaded pack to fall back to.
+ * @returns {Object|null} The layer, or null if the eye goes without.
+ */
+function packLayer(pack, name, fallback) {
+  if (pack[name] || !fallback) {
+    return pack[name];
+  }
+  return name === 'pupil' || pack.missing.includes(name) ? fallback[name] : null;
+}
+
+/**
+ * Draws a pack layer for an eye.
+ * @param {Object} layer - A layer of a loaded pack.
+ * @param {number} x - Centre of the eye.
+ * @param {number} y
+ * @param {number} eyeWidth - Width of the eye.
+ * @param {number} [eyeHeight] - Height of the eye, to stretch the layer to an oval socket; the
+ *   layer keeps the shape of its crop without it.
+ * @param {p5.Graphics} [target] - Where to draw; the canvas by default.
+ */
+function drawPackLayer(layer, x, y, eyeWidth, eyeHeight, target) {
+  let [sx, sy, sw, sh] = layer.crop;
+  let w = eyeWidth * layer.scale;
+  let h = eyeHeight === undefined ? w * sh / sw : eyeHeight * layer.scale;
+  (target || window).image(layer.image, x + layer.pivot[0] * eyeWidth, y + layer.pivot[1] * eyeWidth, w, h, sx, sy, sw, sh);
+}
+
+/**
+ * Clears the canvas with a pack's background: its colour, or its image covering the canvas.
+ * @param {Object} [pack] - A loaded pack; plain white without one.
+ */
+function drawPackBackground(pack) {
+  let backdrop = pack ? pack.background : null;
+  if (!backdrop) {
+    background(255);
+  } else if (Array.isArray(backdrop)) {
+    background(backdrop);
+  } else {
+    background(255);
+    let s = max(width / backdrop.width, height / backdrop.height);
+    push();
+    imageMode(CENTER);
+    image(backdrop, width / 2, height / 2, backdrop.width * s, backdrop.height * s);
+    pop();
+  }
+}
@@ -0,0 +1,112 @@
+// Decides which tracked person the eyes look at (see blob-tracker.js).
+// The eyes lock onto one person for a while, now and then glance at someone who has just
+// arrived, and prefer people who are approaching or moving fast when choosing whom to watch.
+
+class AttentionModel {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.dwell=4000] - Milliseconds to stay locked onto a person before reconsidering.
+   * @param {number} [options.glanceChance=0.5] - Chance (0-1) of glancing at each newcomer while locked.
+   * @param {number} [options.glanceDuration=700] - Milliseconds a glance lasts.
+   * @param {number} [options.switchMargin=1.2] - How much better another person must score to take over after the dwell.
+   * @param {number} [options.sizeWeight=1] - Score weight of a person's size (share of all motion).
+   * @param {number} [options.speedWeight=0.002] - Score weight per pixel per second of speed.
+   * @param {number} [options.approachWeight=1] - Score weight of growth in size (someone walking towards the camera).
+   * @param {function} [options.random=Math.random] - Source of random numbers, replaceable for repeatable runs.
+   */
+  constructor(options = {}) {
+    this.dwell = options.dwell ?? 4000;
+    this.glanceChance = options.glanceChance ?? 0.5;
+    this.glanceDuration = options.glanceDuration ?? 700;
+    this.switchMargin = options.switchMargin ?? 1.2;
+    this.sizeWeight = options.sizeWeight ?? 1;
+    this.speedWeight = options.speedWeight ?? 0.002;
+    this.approachWeight = options.approachWeight ?? 1;
+    this.random = options.random || Math.random;
+
+    this.lockedId = null; // The person the eyes are locked onto
+    this.lockedSince = 0;
+    this.glanceId = null; // A newcomer being glanced at, if any
+    this.glanceUntil = 0;
+    this.knownIds = new Set(); // Everyone seen so far, so newcomers can be recognised
+    this.target = null; // The track currently looked at
+  }
+
+  /**
+   * How interesting a track is: bigger, faster and approaching people score higher.
+   * @param {Object} track
+   * @param {number} totalCount - Sum of the sizes of all tracks.
+   */
+  score(track, totalCount) {
+    return this.sizeWeight * track.count / totalCount +
+      this.speedWeight * track.speed +
+      this.approachWeight * Math.max(track.growth, 0);
+  }
+
+  /**
+   * Chooses the target for this frame.
+   * @param {Object[]} tracks - Confirmed tracks from BlobTracker.
+   * @param {number} time - Current time in milliseconds.
+   * @returns {Object|null} The track to look at, or null if there is nobody.
+   */
+  update(tracks, time) {
+    let byId = new Map(tracks.map(track => [track.id, track]));
+    let totalCount = tracks.reduce((sum, track) => sum + track.count, 0) || 1;
+    let best = null;
+    for (let track of tracks) {
+      if (!best || this.score(track, totalCount) > this.score(best, totalCount)) {
+        best = track;
+      }
+    }
+
+    // Lock onto the best person when the current one has gone, or reconsider after the dwell
+    let locked = byId.get(this.lockedId);
+    if (!locked) {
+      this.lock(best, time);
+    } else if (time - this.lockedSince >= this.dwell && best !== locked &&
+      this.score(best, totalCount) > this.score(locked, totalCount) * this.switchMargin) {
+      this.lock(best, time);
+    }
+
+    // Newcomers may steal a quick glance from the locked person
+    for (let track of tracks) {
+      if (this.knownIds.has(track.id)) {
+        continue;
+      }
+      this.knownIds.add(track.id);
+      if (track.id !== this.lockedId && this.glanceId === null && this.random() < this.glanceChance) {
+        this.glanceId = track.id;
+        this.glanceUntil = time + this.glanceDuration;
+      }
+    }
+    for (let id of this.knownIds) {
+      if (!byId.has(id)) {
+        this.knownIds.delete(id);
+      }
+    }
+
+    if (this.glanceId !== null && (time >= this.glanceUntil || !byId.has(this.glanceId))) {
+      this.glanceId = null;
+    }
+
+    this.target = byId.get(this.glanceId) || byId.get(this.lockedId) || null;
+    return this.target;
+  }
+
+  lock(track, time) {
+    this.lockedId = track ? track.id : null;
+    this.lockedSince = time;
+  }
+
+  /**
+   * A summary of what the model is doing, for display or logging.
+   */
+  get state() {
+    return {
+      targetId: this.target ? this.target.id : null,
+      lockedId: this.lockedId,
+      lockedSince: this.lockedSince,
+      glancing: this.glanceId !== null
+    };
+  }
+}
@@ -0,0 +1,108 @@
+// A learned picture of the empty room, so people are detected while they stand still
+// rather than only while they move. Keeps one RGB value per motion grid cell.
+//
+// Two ways of learning are available:
+//   'average' - a running average: each frame pulls the background towards it by `learningRate` (0-1).
+//   'median'  - an approximate running median: each frame moves the background `learningRate * 255`
+//               grey levels towards it, which ignores brief flashes better than the average does.
+
+const BACKGROUND_MODES = ['average', 'median'];
+
+class BackgroundModel {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode='average'] - One of BACKGROUND_MODES.
+   * @param {number} [options.learningRate=0.002] - How fast the background follows the scene.
+   * @param {number} [options.foregroundFactor=0.1] - Learning rate multiplier where someone is detected,
+   *   so a person standing still takes much longer to fade into the background.
+   * @param {number} [options.relearnFrames=30] - Frames of fast learning after relearn().
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'average';
+    this.learningRate = options.learningRate ?? 0.002;
+    this.foregroundFactor = options.foregroundFactor ?? 0.1;
+    this.relearnFrames = options.relearnFrames ?? 30;
+
+    this.values = null; // RGB per cell
+    this.relearnCountdown = 0; // Frames of fast learning left
+    this.seedNextFrame = false; // Whether the next frame is copied straight into the background
+  }
+
+  /**
+   * Makes room for the given number of cells, forgetting the background if the size changed.
+   */
+  resize(cellCount) {
+    if (!this.values || this.values.length !== cellCount * 3) {
+      this.values = new Float32Array(cellCount * 3);
+      this.relearn();
+    }
+  }
+
+  /**
+   * Forgets the background: the next frame is taken as the new empty room, and learning is
+   * fast for a short while after so the model settles quickly.
+   */
+  relearn() {
+    this.relearnCountdown = this.relearnFrames;
+    this.seedNextFrame = true;
+  }
+
+  /**
+   * True while the model is still settling after relearn(). Detections are unreliable then.
+   */
+  get isLearning() {
+    return this.relearnCountdown > 0;
+  }
+
+  /**
+   * Colour distance between a pixel and the background of its cell.
+   */
+  difference(cell, r, g, b) {
+    let i = cell * 3;
+    if (this.seedNextFrame) {
+      this.values[i] = r;
+      this.values[i + 1] = g;
+      this.values[i + 2] = b;
+      return 0;
+    }
+    let dr = r - this.values[i];
+    let dg = g - this.values[i + 1];
+    let db = b - this.values[i + 2];
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+  }
+
+  /**
+   * Moves the background of a cell towards the pixel seen there this frame.
+   * @param {boolean} isForeground - Whether the pixel was detected as a person.
+   */
+  learn(cell, r, g, b, isForeground) {
+    let rate = this.learningRate;
+    if (this.isLearning) {
+      rate = Math.max(rate, 0.2);
+    } else if (isForeground) {
+      rate *= this.foregroundFactor;
+    }
+
+    let i = cell * 3;
+    let pixel = [r, g, b];
+    for (let c = 0; c < 3; c++) {
+      let delta = pixel[c] - this.values[i + c];
+      if (this.mode === 'median') {
+        let step = rate * 255;
+        this.values[i + c] += Math.max(-step, Math.min(step, delta));
+      } else {
+        this.values[i + c] += delta * rate;
+      }
+    }
+  }
+
+  /**
+   * Call once after every cell of a frame has been compared and learned.
+   */
+  endFrame() {
+    this.seedNextFrame = false;
+    if (this.relearnCountdown > 0) {
+      this.relearnCountdown--;
+    }
+  }
+}
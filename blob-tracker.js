@@ -0,0 +1,125 @@
+// Follows motion blobs from frame to frame so each person keeps the same id.
+// Blobs are matched to existing tracks by nearest centroid; unmatched blobs start new tracks
+// and tracks that go unmatched for too long are dropped.
+
+class BlobTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxMatchDistance=150] - Furthest a blob may be from a track's predicted position to continue it.
+   * @param {number} [options.maxMissedFrames=15] - Frames a track survives without a matching blob.
+   * @param {number} [options.minAge=5] - Frames a track must be seen before it is confirmed.
+   * @param {number} [options.velocitySmoothing=0.3] - Weight of each new velocity measurement (0-1).
+   */
+  constructor(options = {}) {
+    this.maxMatchDistance = options.maxMatchDistance ?? 150;
+    this.maxMissedFrames = options.maxMissedFrames ?? 15;
+    this.minAge = options.minAge ?? 5;
+    this.velocitySmoothing = options.velocitySmoothing ?? 0.3;
+
+    this.tracks = []; // Every live track, confirmed or not
+    this.nextId = 1;
+  }
+
+  /**
+   * Matches this frame's blobs to the existing tracks.
+   * @param {Object[]} blobs - Blobs as { x, y, count }: centroid and number of motion cells.
+   * @param {number} time - Current time in milliseconds.
+   * @returns {Object[]} The live tracks, each as
+   *   { id, x, y, vx, vy, speed, count, growth, age, missed, confirmed, firstSeen, lastSeen }
+   *   where vx/vy/speed are in pixels per second and growth is the relative change in size per second
+   *   (positive while someone approaches the camera).
+   */
+  update(blobs, time) {
+    // Every track/blob pair close enough to match, closest first
+    let pairs = [];
+    for (let t = 0; t < this.tracks.length; t++) {
+      let track = this.tracks[t];
+      let dt = (time - track.lastSeen) / 1000;
+      let predictedX = track.x + track.vx * dt;
+      let predictedY = track.y + track.vy * dt;
+      for (let b = 0; b < blobs.length; b++) {
+        let d = Math.hypot(blobs[b].x - predictedX, blobs[b].y - predictedY);
+        if (d <= this.maxMatchDistance) {
+          pairs.push({ t, b, d });
+        }
+      }
+    }
+    pairs.sort((p, q) => p.d - q.d);
+
+    let trackMatched = new Array(this.tracks.length).fill(false);
+    let blobMatched = new Array(blobs.length).fill(false);
+    for (let pair of pairs) {
+      if (trackMatched[pair.t] || blobMatched[pair.b]) {
+        continue;
+      }
+      trackMatched[pair.t] = true;
+      blobMatched[pair.b] = true;
+      this.continueTrack(this.tracks[pair.t], blobs[pair.b], time);
+    }
+
+    for (let t = 0; t < this.tracks.length; t++) {
+      if (!trackMatched[t]) {
+        this.tracks[t].missed++;
+      }
+    }
+    this.tracks = this.tracks.filter(track => track.missed <= this.maxMissedFrames);
+
+    for (let b = 0; b < blobs.length; b++) {
+      if (!blobMatched[b]) {
+        this.tracks.push(this.startTrack(blobs[b], time));
+      }
+    }
+    return this.tracks;
+  }
+
+  startTrack(blob, time) {
+    return {
+      id: this.nextId++,
+      x: blob.x,
+      y: blob.y,
+      vx: 0,
+      vy: 0,
+      speed: 0,
+      count: blob.count,
+      growth: 0,
+      age: 1,
+      missed: 0,
+      confirmed: this.minAge <= 1,
+      firstSeen: time,
+      lastSeen: time
+    };
+  }
+
+  continueTrack(track, blob, time) {
+    let dt = (time - track.lastSeen) / 1000;
+    if (dt > 0) {
+      let k = this.velocitySmoothing;
+      track.vx += ((blob.x - track.x) / dt - track.vx) * k;
+      track.vy += ((blob.y - track.y) / dt - track.vy) * k;
+      track.growth += ((blob.count - track.count) / track.count / dt - track.growth) * k;
+      track.speed = Math.hypot(track.vx, track.vy);
+    }
+    track.x = blob.x;
+    track.y = blob.y;
+    track.count = blob.count;
+    track.age++;
+    track.missed = 0;
+    track.confirmed = track.age >= this.minAge;
+    track.lastSeen = time;
+  }
+
+  /**
+   * The tracks that have been seen long enough to be trusted. A confirmed track that has
+   * briefly gone unmatched keeps its last position until it is dropped.
+   */
+  confirmedTracks() {
+    return this.tracks.filter(track => track.confirmed);
+  }
+
+  /**
+   * Forgets every track, e.g. after the camera has been reset.
+   */
+  reset() {
+    this.tracks = [];
+  }
+}
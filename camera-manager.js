@@ -0,0 +1,390 @@
+// Keeps the camera running for an installation that is left alone for days.
+// A particular camera can be picked by (part of) its name, e.g. ?camera=logitech, or by cycling
+// through the cameras with N; the choice is remembered in local storage, so it survives restarts
+// of the browser, and the default camera is used while the chosen one is missing. ?camera= with
+// no name forgets the choice.
+// A watchdog restarts the camera when it stops delivering frames, when its picture stays black,
+// when it is unplugged, or when the chosen camera is plugged back in. Restarts that do not help
+// are retried with growing delays.
+// When no camera can be opened at all (none plugged in, permission denied, or a browser without
+// camera access) `unavailable` says why, so the sketch can fall back to another input source
+// while the camera keeps being retried.
+
+const CAMERA_STORAGE_KEY = 'eyes-on-you.camera';
+
+// What went wrong, by the name of the error the browser gives when a camera cannot be opened
+const CAMERA_ERRORS = {
+  NotAllowedError: 'camera permission denied',
+  SecurityError: 'camera permission denied',
+  NotFoundError: 'no camera found',
+  OverconstrainedError: 'chosen camera not found',
+  NotReadableError: 'camera in use by another program',
+  AbortError: 'camera in use by another program'
+};
+
+let cameraStallTimeout = 5000; // Milliseconds without a new frame before the camera is restarted
+let cameraStartTimeout = 30000; // Milliseconds a camera may take to start, e.g. while permission is asked for
+let cameraBlackTimeout = 10000; // Milliseconds of black picture before the camera is restarted
+let cameraBlackLevel = 8; // Mean brightness (0-255) below which a picture counts as black
+let cameraCheckInterval = 1000; // Milliseconds between looks at the picture
+let cameraRetryDelays = [2000, 5000, 15000, 60000]; // Waits before each restart while restarts keep failing
+
+class CameraManager {
+  /**
+   * @param {number} width - Size the frames are wanted at.
+   * @param {number} height
+   * @param {function(p5.MediaElement)} onCapture - Called with each new capture, so the sketch can
+   *   use it in place of the old one, and with null when the old one has been closed.
+   */
+  constructor(width, height, onCapture) {
+    this.width = width;
+    this.height = height;
+    this.onCapture = onCapture;
+    this.capture = null;
+    this.label = this.storedLabel(); // Part of the wanted camera's name, or '' for any camera
+    this.deviceLabel = ''; // Name of the camera in use, once known
+    this.started = false; // Whether the camera is wanted, from start() until stop()
+    this.status = 'starting';
+    this.unavailable = null; // Why no camera can be opened, or null
+    this.request = null; // The camera asked for last, while the browser has not answered
+    this.restarts = 0;
+    this.failures = 0; // Restarts in a row that have not brought the picture back
+    this.restartAt = null; // When a pending restart is due
+    this.lastFrame = 0; // When the picture last changed
+    this.lastBright = 0; // When the picture was last not black
+    this.lastCheck = 0;
+    this.frameCount = 0; // Frames the browser has shown, where it can tell
+    this.checkedFrameCount = 0;
+    this.probe = document.createElement('canvas'); // A tiny copy of the picture to look at
+    this.probe.width = 16;
+    this.probe.height = 12;
+    this.probePixels = null;
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this.devicesChanged());
+    }
+  }
+
+  storedLabel() {
+    let fromUrl = new URLSearchParams(window.location.search).get('camera');
+    if (fromUrl !== null) {
+      this.storeLabel(fromUrl);
+      return fromUrl;
+    }
+    try {
+      return localStorage.getItem(CAMERA_STORAGE_KEY) || '';
+    } catch (error) {
+      console.warn('Could not read the chosen camera', error);
+      return '';
+    }
+  }
+
+  /**
+   * Remembers the chosen camera. Without storage the choice only lasts until the page is closed.
+   */
+  storeLabel(label) {
+    try {
+      localStorage.setItem(CAMERA_STORAGE_KEY, label);
+    } catch (error) {
+      console.warn('Could not remember the chosen camera', error);
+    }
+  }
+
+  /**
+   * Opens the wanted camera, or the default one while it cannot be found.
+   */
+  start() {
+    this.started = true;
+    this.findDevice()
+      .then(device => this.open(device))
+      .catch(error => {
+        console.warn('Could not list the cameras', error);
+        this.open(null);
+      });
+  }
+
+  /**
+   * Closes the camera and rests the watchdog until start() is called again, e.g. while the sketch
+   * follows another input source. The camera's light goes off.
+   */
+  stop() {
+    this.started = false;
+    this.request = null; // A camera still being opened is closed as soon as it arrives
+    this.restartAt = null;
+    this.failures = 0;
+    this.unavailable = null;
+    this.status = 'stopped';
+    this.close();
+  }
+
+  /**
+   * The camera whose name contains the wanted label, or null for the default camera.
+   * Names are only given out once the camera may be used, so the very first start may open the
+   * default camera; the watchdog switches over once the names are known.
+   */
+  findDevice() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return Promise.resolve(null);
+    }
+    return navigator.mediaDevices.enumerateDevices().then(devices => {
+      let cameras = devices.filter(device => device.kind === 'videoinput');
+      let wanted = this.label.toLowerCase();
+      return (wanted && cameras.find(device => device.label.toLowerCase().includes(wanted))) || null;
+    });
+  }
+
+  open(device) {
+    // Some cameras cannot be opened twice, so the old stream goes first
+    this.close();
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      this.failed('no camera access in this browser');
+      return;
+    }
+    let video = { width: { ideal: this.width }, height: { ideal: this.height } };
+    if (device) {
+      video.deviceId = { exact: device.deviceId };
+    }
+    let request = { device: device, time: millis() };
+    this.request = request;
+    navigator.mediaDevices.getUserMedia({ video: video, audio: false })
+      .then(stream => {
+        if (request !== this.request) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        this.request = null;
+        this.attach(stream, device);
+      })
+      .catch(error => {
+        if (request === this.request) {
+          this.request = null;
+          console.warn('Could not open the camera', error);
+          this.failed(CAMERA_ERRORS[error.name] || 'camera not working');
+        }
+      });
+  }
+
+  /**
+   * Shows a camera's stream in a hidden video element and hands it to the sketch.
+   */
+  attach(stream, device) {
+    this.close();
+    let capture = createVideo([]);
+    let video = capture.elt;
+    video.setAttribute('playsinline', '');
+    video.muted = true;
+    video.srcObject = stream;
+    capture.loadedmetadata = false;
+    video.addEventListener('loadedmetadata', () => {
+      video.play().catch(error => console.warn('Could not play the camera', error));
+      capture.loadedmetadata = true;
+    });
+    capture.size(this.width, this.height);
+    capture.hide();
+    this.capture = capture;
+    this.unavailable = null;
+    this.status = 'starting';
+    this.lastFrame = this.lastBright = millis();
+    this.probePixels = null;
+    this.countFrames(capture);
+
+    let track = stream.getVideoTracks()[0];
+    this.deviceLabel = track ? track.label : '';
+    if (track) {
+      track.addEventListener('ended', () => {
+        if (capture === this.capture) {
+          this.scheduleRestart('camera disconnected');
+        }
+      });
+    }
+    // Once names are known, move to the wanted camera if the default one was opened instead
+    if (this.label && !device) {
+      this.findDevice().then(found => {
+        if (found && capture === this.capture) {
+          this.open(found);
+        }
+      });
+    }
+    this.onCapture(capture);
+  }
+
+  /**
+   * Gives up on the camera for now and tries again later.
+   * @param {string} reason - Why no camera can be used, for the sketch to show.
+   */
+  failed(reason) {
+    this.close();
+    this.unavailable = reason;
+    this.scheduleRestart(reason);
+  }
+
+  /**
+   * Counts the frames the browser shows, where it can tell, which is cheaper and surer than
+   * comparing pictures.
+   */
+  countFrames(capture) {
+    let video = capture.elt;
+    if (!video.requestVideoFrameCallback) {
+      return;
+    }
+    let count = () => {
+      if (capture === this.capture) {
+        this.frameCount++;
+        video.requestVideoFrameCallback(count);
+      }
+    };
+    video.requestVideoFrameCallback(count);
+  }
+
+  close() {
+    if (!this.capture) {
+      return;
+    }
+    let stream = this.capture.elt.srcObject;
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+    }
+    this.capture.remove();
+    this.capture = null;
+    this.onCapture(null);
+  }
+
+  /**
+   * Restarts the camera after the current retry delay.
+   * @param {string} reason - Shown in the status readout and the console.
+   */
+  scheduleRestart(reason) {
+    if (this.restartAt !== null) {
+      return;
+    }
+    let delay = cameraRetryDelays[Math.min(this.failures, cameraRetryDelays.length - 1)];
+    console.warn('Restarting the camera in ' + delay / 1000 + 's: ' + reason);
+    this.status = reason + ', restarting';
+    this.restartAt = millis() + delay;
+  }
+
+  /**
+   * Picks the next camera, remembers it and switches to it.
+   */
+  nextCamera() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return;
+    }
+    navigator.mediaDevices.enumerateDevices()
+      .then(devices => {
+        let cameras = devices.filter(device => device.kind === 'videoinput' && device.label);
+        if (!cameras.length) {
+          return;
+        }
+        let index = cameras.findIndex(device => device.label === this.deviceLabel);
+        let next = cameras[(index + 1) % cameras.length];
+        this.label = next.label;
+        this.storeLabel(next.label);
+        this.failures = 0;
+        this.open(next);
+      })
+      .catch(error => console.warn('Could not list the cameras', error));
+  }
+
+  devicesChanged() {
+    if (!this.started) {
+      return;
+    }
+    // A camera may have been plugged in
+    if (this.unavailable) {
+      this.failures = 0;
+      this.restartAt = null;
+      this.start();
+      return;
+    }
+    this.findDevice()
+      .then(device => {
+        // The wanted camera is back while another one is in use
+        if (device && device.label !== this.deviceLabel) {
+          this.failures = 0;
+          this.open(device);
+        }
+      })
+      .catch(error => console.warn('Could not list the cameras', error));
+  }
+
+  /**
+   * The watchdog. Call every frame.
+   * @param {boolean} [paused=false] - Skips the checks, e.g. while the face sleeps in a dark room.
+   */
+  update(paused = false) {
+    if (!this.started) {
+      return;
+    }
+    let now = millis();
+    if (this.restartAt !== null) {
+      if (now >= this.restartAt) {
+        this.restartAt = null;
+        this.restarts++;
+        this.failures++;
+        this.start();
+      }
+      return;
+    }
+    if (this.request) {
+      // Waiting for the browser, which may be asking for permission
+      if (now - this.request.time > cameraStartTimeout) {
+        this.request = null;
+        this.scheduleRestart('camera did not start');
+      }
+      return;
+    }
+    if (paused || !this.capture) {
+      this.lastFrame = this.lastBright = now;
+      return;
+    }
+    if (now - this.lastCheck < cameraCheckInterval) {
+      return;
+    }
+    this.lastCheck = now;
+    this.checkPicture(now);
+
+    if (now - this.lastFrame > cameraStallTimeout) {
+      this.scheduleRestart('no new frames');
+    } else if (now - this.lastBright > cameraBlackTimeout) {
+      this.scheduleRestart('black picture');
+    } else if (now - this.lastFrame < cameraCheckInterval * 2 && now - this.lastBright < cameraCheckInterval * 2) {
+      this.status = 'ok';
+      this.failures = 0;
+    }
+  }
+
+  /**
+   * Looks at a tiny copy of the picture: whether it has changed since the last look, and whether
+   * it is black. A live camera's noise changes a few pixels even in a still room.
+   */
+  checkPicture(now) {
+    let video = this.capture.elt;
+    if (video.readyState < 2) {
+      return;
+    }
+    let context = this.probe.getContext('2d', { willReadFrequently: true });
+    context.drawImage(video, 0, 0, this.probe.width, this.probe.height);
+    let pixels = context.getImageData(0, 0, this.probe.width, this.probe.height).data;
+
+    let changed = !this.probePixels;
+    let brightness = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      brightness += (pixels[i] + pixels[i + 1] + pixels[i + 2]) / 3;
+      if (!changed && pixels[i] !== this.probePixels[i]) {
+        changed = true;
+      }
+    }
+    this.probePixels = pixels;
+    if (video.requestVideoFrameCallback) {
+      changed = this.frameCount !== this.checkedFrameCount;
+      this.checkedFrameCount = this.frameCount;
+    }
+    if (changed) {
+      this.lastFrame = now;
+    }
+    if (brightness / (pixels.length / 4) >= cameraBlackLevel) {
+      this.lastBright = now;
+    }
+  }
+}
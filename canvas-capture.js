@@ -0,0 +1,255 @@
+// Souvenirs of the eyes: a PNG snapshot, a short looping GIF or a WebM video of the canvas,
+// optionally with the mirrored camera picture in the corner, so visitors can take home the eyes
+// looking at them. Press E or open the page with ?capture for the capture buttons.
+// Each capture starts after a countdown. The countdown and the recording sign are shown over
+// the canvas rather than drawn on it, so they stay out of the pictures. Files are named after
+// the portrait, e.g. eyes-on-you-trump-2024-05-01-14-03-22.gif.
+
+let captureCountdown = 3; // Seconds counted down before a capture starts
+let captureSeconds = 5; // Longest GIF or video, in seconds
+let gifMaxSeconds = 15; // Longest GIF whatever the capture length, as GIFs are encoded on the page
+let captureCamera = false; // Whether the mirrored camera picture is added in the corner
+let captureInset = 0.28; // Width of the camera picture, as a share of the capture's width
+let gifWidth = 480; // Width of a GIF; its height follows the canvas
+let gifFrameRate = 10; // Frames per second of a GIF
+let videoFrameRate = 30; // Frames per second of a video
+let videoMaxWidth = 1280; // Videos of bigger canvases are scaled down to this width
+
+/**
+ * The capture's rows for a sketch's settings panel (see settings-panel.js).
+ */
+function captureSettings() {
+  return [
+    { key: 'captureSeconds', label: 'Capture length (s)', min: 1, max: 60, step: 1, get: () => captureSeconds, set: v => { captureSeconds = v; } },
+    { key: 'captureCountdown', label: 'Capture countdown (s)', min: 0, max: 10, step: 1, get: () => captureCountdown, set: v => { captureCountdown = v; } },
+    { key: 'captureCamera', label: 'Camera in captures', options: ['off', 'on'], get: () => captureCamera ? 'on' : 'off', set: v => { captureCamera = v === 'on'; } }
+  ];
+}
+
+class CanvasCapture {
+  /**
+   * @param {function(): string} name - The portrait's name, for the file names.
+   * @param {function(): p5.MediaElement} camera - The camera, or null while there is none.
+   */
+  constructor(name, camera) {
+    this.name = name;
+    this.camera = camera;
+    this.bar = null; // The capture buttons, while shown
+    this.sign = createDiv().class('capture-sign'); // The countdown and recording sign
+    this.sign.hide();
+    this.pending = null; // { kind, start } while counting down
+    this.gif = null; // { canvas, encoder, lastFrame, start } while capturing a GIF
+    this.video = null; // { canvas, recorder, chunks, start, type } while recording a video
+    if (new URLSearchParams(window.location.search).has('capture')) {
+      this.toggleBar();
+    }
+  }
+
+  get isBusy() {
+    return Boolean(this.pending || this.gif || this.video);
+  }
+
+  toggleBar() {
+    if (this.bar) {
+      this.bar.remove();
+      this.bar = null;
+      return;
+    }
+    this.bar = createDiv().class('capture-bar');
+    createButton('Photo').parent(this.bar).mouseClicked(() => this.start('png'));
+    createButton('GIF').parent(this.bar).mouseClicked(() => this.start('gif'));
+    createButton('Video').parent(this.bar).mouseClicked(() => this.start('video'));
+    createButton('Stop').parent(this.bar).mouseClicked(() => this.stop());
+  }
+
+  /**
+   * Counts down, then captures.
+   * @param {string} kind - 'png', 'gif' or 'video'.
+   */
+  start(kind) {
+    if (this.isBusy) {
+      return;
+    }
+    if (kind === 'video' && !this.videoType()) {
+      this.showSign('Videos cannot be recorded in this browser', true);
+      setTimeout(() => this.sign.hide(), 3000);
+      return;
+    }
+    this.pending = { kind: kind, start: millis() };
+  }
+
+  /**
+   * Ends a GIF or video early, or calls off a countdown.
+   */
+  stop() {
+    this.pending = null;
+    if (this.gif) {
+      this.finishGif();
+    }
+    if (this.video) {
+      this.video.recorder.stop();
+    }
+    this.sign.hide();
+  }
+
+  /**
+   * Moves the capture on. Call in draw() once the picture is drawn, before any readouts that
+   * should stay out of the captures.
+   */
+  update() {
+    let now = millis();
+    if (this.pending) {
+      let left = captureCountdown - (now - this.pending.start) / 1000;
+      if (left > 0) {
+        this.showSign(ceil(left));
+        return;
+      }
+      let kind = this.pending.kind;
+      this.pending = null;
+      this.sign.hide();
+      if (kind === 'png') {
+        this.savePng();
+      } else if (kind === 'gif') {
+        let canvas = this.compositeCanvas(gifWidth);
+        let encoder = new GifEncoder(canvas.width, canvas.height, round(100 / gifFrameRate));
+        this.gif = { canvas: canvas, encoder: encoder, lastFrame: -Infinity, start: now };
+      } else {
+        this.startVideo(now);
+      }
+    }
+
+    if (this.gif) {
+      let elapsed = (now - this.gif.start) / 1000;
+      this.showSign('● GIF ' + nf(elapsed, 0, 1) + ' s', true);
+      if (now - this.gif.lastFrame >= 1000 / gifFrameRate) {
+        this.gif.lastFrame = now;
+        let canvas = this.gif.canvas;
+        this.compose(canvas);
+        let pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+        this.gif.encoder.addFrame(gifIndices(pixels));
+      }
+      if (elapsed >= min(captureSeconds, gifMaxSeconds)) {
+        this.finishGif();
+      }
+    }
+
+    if (this.video) {
+      let elapsed = (now - this.video.start) / 1000;
+      this.showSign('● REC ' + nf(elapsed, 0, 1) + ' s', true);
+      this.compose(this.video.canvas);
+      if (elapsed >= captureSeconds && this.video.recorder.state === 'recording') {
+        this.video.recorder.stop();
+      }
+    }
+  }
+
+  /**
+   * Shows the countdown in big figures in the middle, or a small sign at the top.
+   */
+  showSign(content, small = false) {
+    this.sign.html(content);
+    this.sign.elt.classList.toggle('is-small', small);
+    this.sign.show();
+  }
+
+  // --- Pictures ---
+
+  /**
+   * A canvas to compose captures on, the canvas's shape, at most maxWidth pixels wide.
+   */
+  compositeCanvas(maxWidth) {
+    let source = drawingContext.canvas;
+    let scale = min(1, maxWidth / source.width);
+    let canvas = document.createElement('canvas');
+    canvas.width = round(source.width * scale);
+    canvas.height = round(source.height * scale);
+    return canvas;
+  }
+
+  /**
+   * Draws the sketch's latest frame onto a canvas, with the mirrored camera picture in the bottom
+   * right corner if asked for.
+   */
+  compose(canvas) {
+    let context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(drawingContext.canvas, 0, 0, canvas.width, canvas.height);
+    let camera = this.camera();
+    if (!captureCamera || !camera || !camera.loadedmetadata || !camera.elt.videoWidth) {
+      return;
+    }
+    let insetWidth = canvas.width * captureInset;
+    let insetHeight = insetWidth * camera.elt.videoHeight / camera.elt.videoWidth;
+    let margin = canvas.width * 0.02;
+    let x = canvas.width - insetWidth - margin;
+    let y = canvas.height - insetHeight - margin;
+    context.fillStyle = '#fff';
+    context.fillRect(x - 3, y - 3, insetWidth + 6, insetHeight + 6);
+    context.save();
+    context.translate(x + insetWidth, y);
+    context.scale(-1, 1);
+    context.drawImage(camera.elt, 0, 0, insetWidth, insetHeight);
+    context.restore();
+  }
+
+  savePng() {
+    let canvas = this.compositeCanvas(Infinity);
+    this.compose(canvas);
+    canvas.toBlob(blob => this.download(blob, 'png'), 'image/png');
+  }
+
+  finishGif() {
+    let gif = this.gif;
+    this.gif = null;
+    this.sign.hide();
+    if (!gif.encoder.frameCount) {
+      return;
+    }
+    this.download(new Blob(gif.encoder.finish(), { type: 'image/gif' }), 'gif');
+  }
+
+  // --- Video ---
+
+  /**
+   * The first video type this browser can record: WebM, or MP4 where WebM is missing.
+   */
+  videoType() {
+    if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+      return null;
+    }
+    let types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+    return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  startVideo(now) {
+    let canvas = this.compositeCanvas(videoMaxWidth);
+    this.compose(canvas);
+    let type = this.videoType();
+    let recorder = new MediaRecorder(canvas.captureStream(videoFrameRate), { mimeType: type });
+    let video = { canvas: canvas, recorder: recorder, chunks: [], start: now, type: type };
+    recorder.ondataavailable = event => {
+      if (event.data.size) {
+        video.chunks.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      this.video = null;
+      this.sign.hide();
+      this.download(new Blob(video.chunks, { type: type }), type.startsWith('video/mp4') ? 'mp4' : 'webm');
+    };
+    recorder.onerror = event => console.warn('Could not record the video', event.error);
+    recorder.start();
+    this.video = video;
+  }
+
+  // --- Files ---
+
+  download(blob, extension) {
+    let name = this.name().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'eyes';
+    let time = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'eyes-on-you-' + name + '-' + time + '.' + extension;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+}
@@ -0,0 +1,178 @@
+// A debug overlay for the tracking sketch, to see what the tracker saw and decided when the
+// eyes misbehave. A panel in the top right corner shows the camera thumbnail with the motion
+// cells and blobs on it, a rolling chart of motion cells per frame and the tracker's state.
+// On the canvas itself it marks every blob, the chosen target, the smoothed gaze, the point the
+// expression looks at, and each pupil where the gaze alone would put it and where it is drawn
+// once its travel is capped.
+
+let debugPanelWidth = 240; // Width of the camera thumbnail and the chart
+let debugChartHeight = 60;
+let debugChartLength = 240; // Frames shown in the chart
+
+class DebugOverlay {
+  constructor() {
+    this.isOpen = false;
+    this.history = []; // Motion cells of the last debugChartLength processed frames
+    this.lastResult = null;
+  }
+
+  toggle() {
+    this.isOpen = !this.isOpen;
+  }
+
+  /**
+   * Adds a processed frame to the chart. Call every drawn frame; a result already seen is skipped.
+   * @param {Object} result - The tracker's latest result, or null.
+   */
+  update(result) {
+    if (!result || result === this.lastResult) {
+      return;
+    }
+    this.lastResult = result;
+    this.history.push(result.totalMotionPoints);
+    if (this.history.length > debugChartLength) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Draws the overlay over the face.
+   * @param {Object} state
+   * @param {Object} state.result - The tracker's latest result, or null.
+   * @param {p5.MediaElement} [state.video] - The camera, or null while it is not the frame source.
+   * @param {CameraManager} state.camera - For how the camera is doing.
+   * @param {string} state.input - The name of the input source in use.
+   * @param {number} state.gazeX - The tracker's smoothed gaze.
+   * @param {number} state.gazeY
+   * @param {Object} state.look - Where the expression points the eyes, from Expression.update().
+   * @param {Object[]} state.pupils - The pupils from facePupils().
+   */
+  draw(state) {
+    push();
+    this.drawMarks(state);
+    this.drawPanel(state);
+    pop();
+  }
+
+  drawMarks(state) {
+    let result = state.result;
+    textSize(12);
+    textAlign(LEFT, BOTTOM);
+
+    // Each pupil: the capped position filled, the uncapped one hollow, joined when they differ
+    for (let pupil of state.pupils) {
+      stroke(255, 140, 0);
+      strokeWeight(2);
+      line(pupil.freeX, pupil.freeY, pupil.x, pupil.y);
+      noFill();
+      circle(pupil.freeX, pupil.freeY, 14);
+      fill(255, 140, 0);
+      circle(pupil.x, pupil.y, 8);
+    }
+
+    if (result) {
+      for (let blob of result.blobs) {
+        noStroke();
+        fill(200, 0, 200, 180);
+        circle(blob.x, blob.y, 8);
+        text(blob.count, blob.x + 6, blob.y - 4);
+      }
+      if (result.target) {
+        this.drawCross(result.target.x, result.target.y, color(220, 0, 0), 'target #' + result.target.id);
+      }
+    }
+    this.drawCross(state.gazeX, state.gazeY, color(0, 90, 255), 'smoothed');
+    this.drawCross(state.look.x, state.look.y, color(0, 160, 0), 'look (' + state.look.state + ')');
+  }
+
+  drawCross(x, y, c, label) {
+    stroke(c);
+    strokeWeight(2);
+    line(x - 10, y, x + 10, y);
+    line(x, y - 10, x, y + 10);
+    noStroke();
+    fill(c);
+    text(label, x + 12, y - 2);
+  }
+
+  drawPanel(state) {
+    let result = state.result;
+    let panelX = width - debugPanelWidth - 20;
+    let y = 10;
+    let thumbHeight = debugPanelWidth * 3 / 4;
+
+    noStroke();
+    fill(0, 170);
+    rect(panelX - 10, 0, debugPanelWidth + 30, thumbHeight + debugChartHeight + 160);
+
+    // Camera thumbnail with the motion cells and blobs, in camera coordinates
+    if (state.video && state.video.loadedmetadata) {
+      image(state.video, panelX + debugPanelWidth / 2, y + thumbHeight / 2, debugPanelWidth, thumbHeight);
+    } else {
+      fill(60);
+      rect(panelX, y, debugPanelWidth, thumbHeight);
+      fill(200);
+      textAlign(CENTER, CENTER);
+      text('no camera picture', panelX + debugPanelWidth / 2, y + thumbHeight / 2);
+    }
+    if (result) {
+      let cellWidth = debugPanelWidth / result.gridWidth;
+      let cellHeight = thumbHeight / result.gridHeight;
+      fill(255, 0, 0, 130);
+      for (let cell = 0; cell < result.motionGrid.length; cell++) {
+        if (result.motionGrid[cell]) {
+          let gx = cell % result.gridWidth;
+          let gy = floor(cell / result.gridWidth);
+          rect(panelX + gx * cellWidth, y + gy * cellHeight, cellWidth, cellHeight);
+        }
+      }
+      for (let blob of result.blobs) {
+        // Blob centroids are in camera pixels; the grid covers the frame in cells of step pixels
+        let bx = panelX + blob.cameraX / (result.gridWidth * result.step) * debugPanelWidth;
+        let by = y + blob.cameraY / (result.gridHeight * result.step) * thumbHeight;
+        stroke(255, 255, 0);
+        strokeWeight(1);
+        line(bx - 4, by, bx + 4, by);
+        line(bx, by - 4, bx, by + 4);
+        noStroke();
+        fill(255, 255, 0);
+        textAlign(LEFT, BOTTOM);
+        text(blob.count, bx + 4, by - 2);
+      }
+    }
+    y += thumbHeight + 10;
+
+    // Rolling chart of motion cells per frame
+    fill(30);
+    rect(panelX, y, debugPanelWidth, debugChartHeight);
+    let peak = max(1, max(this.history));
+    noFill();
+    stroke(255, 80, 80);
+    strokeWeight(1);
+    beginShape();
+    for (let i = 0; i < this.history.length; i++) {
+      vertex(panelX + i * debugPanelWidth / debugChartLength, y + debugChartHeight - this.history[i] / peak * debugChartHeight);
+    }
+    endShape();
+    noStroke();
+    fill(255);
+    textAlign(LEFT, TOP);
+    text('motion cells per frame, peak ' + peak, panelX + 4, y + 2);
+    y += debugChartHeight + 10;
+
+    // State
+    let lines = result ? [
+      'motionDetected ' + result.motionDetected + '   noMotionTimer ' + result.noMotionTimer,
+      'scanning ' + result.scanning + '   calibrating ' + result.calibrating,
+      'motion cells ' + result.totalMotionPoints + ' of ' + result.gridWidth * result.gridHeight,
+      'blobs ' + result.blobs.length + '   tracks ' + result.tracks.length + '   target ' + (result.target ? '#' + result.target.id : 'none'),
+      'gaze ' + round(state.gazeX) + ', ' + round(state.gazeY)
+    ] : ['waiting for the first frame'];
+    lines.push('input ' + state.input + '   camera ' + state.camera.status + '   restarts ' + state.camera.restarts,
+      state.camera.deviceLabel || 'camera name not known yet');
+    for (let row of lines) {
+      text(row, panelX, y);
+      y += 16;
+    }
+  }
+}
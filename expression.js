@@ -0,0 +1,183 @@
+// The expression of a tracking face: how open the eyelids are, how big the pupils are and
+// where the eyes actually point. A small state machine picks the mood:
+//   idle        relaxed lids and a blink every few seconds
+//   startle     wide open eyes and dilated pupils after a sudden burst of motion or a loud sound
+//   suspicious  narrowed eyes when the same person has been around for a while
+//   sleepy      heavy, half-closed lids while the eyes scan an empty room
+//   asleep      closed eyes, outside the opening hours of an installation (see kiosk.js)
+// The eyes move in quick jumps (saccades) from one fixation to the next rather than gliding,
+// and blinks are laid over whichever state is current.
+// Every value can be changed per portrait with the `expression` field of a face in portraits.json;
+// `states` there is merged state by state, so a portrait only lists what it changes.
+
+const EXPRESSION_DEFAULTS = {
+  blinkInterval: [2000, 6000], // Milliseconds between blinks, picked at random in this range
+  blinkDuration: 160, // Milliseconds a blink takes, closing and opening
+  startleMotion: 0.2, // Share of the picture that must move at once for a startle (0-1)
+  startleDuration: 1500, // Milliseconds a startle lasts
+  suspiciousAfter: 6000, // Milliseconds the same person is watched before the eyes narrow
+  saccades: true, // Whether the eyes jump between fixations; false follows the smoothed gaze
+  saccadeThreshold: 30, // Pixels the gaze point may drift from the fixation before the eyes jump
+  saccadeDuration: 50, // Milliseconds a jump takes
+  maxFixation: 1200, // Milliseconds after which even a small drift makes the eyes jump
+  lidSpeed: 0.2, // How fast the lids move towards the state's position (0-1 per frame)
+  pupilSpeed: 0.08, // How fast the pupils dilate or contract (0-1 per frame)
+  states: {
+    // upperLid/lowerLid: share of the socket covered (0 open, 1 closed); pupil: size factor;
+    // blinkRate: how often blinks come compared to idle (0 for none)
+    idle: { upperLid: 0.12, lowerLid: 0, pupil: 1, blinkRate: 1 },
+    startle: { upperLid: 0, lowerLid: 0, pupil: 1.35, blinkRate: 0 },
+    suspicious: { upperLid: 0.42, lowerLid: 0.28, pupil: 0.8, blinkRate: 0.5 },
+    sleepy: { upperLid: 0.58, lowerLid: 0.05, pupil: 1.1, blinkRate: 1.6 },
+    asleep: { upperLid: 1, lowerLid: 0.1, pupil: 1, blinkRate: 0 }
+  }
+};
+
+/**
+ * Merges a portrait's expression settings over the defaults.
+ */
+function expressionSettings(config = {}) {
+  let settings = Object.assign({}, EXPRESSION_DEFAULTS, config);
+  settings.states = {};
+  for (let name of Object.keys(EXPRESSION_DEFAULTS.states)) {
+    settings.states[name] = Object.assign({}, EXPRESSION_DEFAULTS.states[name], (config.states || {})[name]);
+  }
+  return settings;
+}
+
+class Expression {
+  /**
+   * @param {Object} [config] - A portrait's `expression` settings, see EXPRESSION_DEFAULTS.
+   * @param {function} [random=Math.random] - Source of random numbers, replaceable for repeatable runs.
+   */
+  constructor(config, random) {
+    this.settings = expressionSettings(config);
+    this.random = random || Math.random;
+    this.state = 'idle';
+    this.startleUntil = 0;
+    this.motionBaseline = 0; // Usual share of moving picture, to recognise sudden bursts
+    this.upperLid = this.settings.states.idle.upperLid;
+    this.lowerLid = this.settings.states.idle.lowerLid;
+    this.pupil = 1;
+    this.nextBlink = null; // When the next blink starts
+    this.blinkStart = -Infinity;
+    this.fixation = null; // The point the eyes are fixed on, {x, y}
+    this.fixedSince = 0;
+    this.saccade = null; // The jump in progress: { fromX, fromY, start }
+    this.x = 0; // Where the eyes point, in canvas coordinates
+    this.y = 0;
+  }
+
+  /**
+   * Moves the expression on by one frame.
+   * @param {Object} input
+   * @param {number} input.x - Where the face wants to look, in canvas coordinates.
+   * @param {number} input.y
+   * @param {number} input.gazeX - The smoothed gaze point, followed instead when saccades are off.
+   * @param {number} input.gazeY
+   * @param {number} input.motion - Share of the picture moving this frame (0-1).
+   * @param {number} input.watchedFor - Milliseconds the current person has been around, 0 for nobody.
+   * @param {boolean} input.scanning - Whether the eyes are scanning an empty room.
+   * @param {boolean} [input.asleep] - Whether the face should sleep, whatever else is going on.
+   * @param {boolean} [input.startle] - Whether something else startled the face, e.g. a loud sound.
+   * @param {number} time - Current time in milliseconds.
+   * @returns {{state: string, x: number, y: number, upperLid: number, lowerLid: number, pupil: number}}
+   */
+  update(input, time) {
+    let s = this.settings;
+
+    // Pick the state
+    if (input.startle || (input.motion > s.startleMotion && this.motionBaseline < s.startleMotion / 2)) {
+      this.startleUntil = time + s.startleDuration;
+    }
+    this.motionBaseline += (input.motion - this.motionBaseline) * 0.05;
+    if (input.asleep) {
+      this.state = 'asleep';
+    } else if (time < this.startleUntil) {
+      this.state = 'startle';
+    } else if (input.watchedFor > s.suspiciousAfter) {
+      this.state = 'suspicious';
+    } else if (input.scanning) {
+      this.state = 'sleepy';
+    } else {
+      this.state = 'idle';
+    }
+    let target = s.states[this.state];
+
+    // Ease the lids and pupils towards the state, then lay any blink over the lids
+    this.upperLid += (target.upperLid - this.upperLid) * (this.state === 'startle' ? 0.5 : s.lidSpeed);
+    this.lowerLid += (target.lowerLid - this.lowerLid) * s.lidSpeed;
+    this.pupil += (target.pupil - this.pupil) * (this.state === 'startle' ? 0.3 : s.pupilSpeed);
+    let blink = this.updateBlink(target.blinkRate, time);
+    this.moveEyes(input, time);
+
+    return {
+      state: this.state,
+      x: this.x,
+      y: this.y,
+      upperLid: Math.max(this.upperLid, blink),
+      lowerLid: this.lowerLid,
+      pupil: this.pupil
+    };
+  }
+
+  /**
+   * Schedules blinks and returns how far the current one has closed the upper lid (0-1).
+   */
+  updateBlink(rate, time) {
+    let s = this.settings;
+    if (this.nextBlink === null || rate === 0) {
+      this.nextBlink = time + this.blinkInterval(rate);
+    } else if (time >= this.nextBlink) {
+      this.blinkStart = time;
+      this.nextBlink = time + this.blinkInterval(rate);
+    }
+    let t = (time - this.blinkStart) / s.blinkDuration;
+    // Closes and opens again, staying shut for a moment in the middle
+    return t >= 0 && t < 1 ? Math.min(1, 2.5 * (1 - Math.abs(2 * t - 1))) : 0;
+  }
+
+  blinkInterval(rate) {
+    let [shortest, longest] = this.settings.blinkInterval;
+    let interval = shortest + this.random() * (longest - shortest);
+    return rate > 0 ? interval / rate : interval;
+  }
+
+  /**
+   * Holds the eyes on a fixation and jumps to the new point once it has moved away far
+   * enough, or has been held long enough.
+   */
+  moveEyes(input, time) {
+    let s = this.settings;
+    if (!s.saccades) {
+      this.x = input.gazeX;
+      this.y = input.gazeY;
+      return;
+    }
+    if (!this.fixation) {
+      this.fixation = { x: input.x, y: input.y };
+      this.x = input.x;
+      this.y = input.y;
+      this.fixedSince = time;
+      return;
+    }
+
+    let drift = Math.hypot(input.x - this.fixation.x, input.y - this.fixation.y);
+    let heldTooLong = time - this.fixedSince > s.maxFixation && drift > s.saccadeThreshold / 4;
+    if (!this.saccade && (drift > s.saccadeThreshold || heldTooLong)) {
+      this.saccade = { fromX: this.x, fromY: this.y, start: time };
+      this.fixation = { x: input.x, y: input.y };
+    }
+
+    if (this.saccade) {
+      let t = Math.min(1, (time - this.saccade.start) / s.saccadeDuration);
+      let eased = 1 - Math.pow(1 - t, 3); // Fast start, soft landing
+      this.x = this.saccade.fromX + (this.fixation.x - this.saccade.fromX) * eased;
+      this.y = this.saccade.fromY + (this.fixation.y - this.saccade.fromY) * eased;
+      if (t === 1) {
+        this.saccade = null;
+        this.fixedSince = time;
+      }
+    }
+  }
+}
@@ -0,0 +1,206 @@
+// The gallery's field of googly eyes: where the eyes sit and how they are drawn.
+// The eyes come in varied sizes, packed evenly without overlapping (see poisson-disc.js), so
+// their number grows with the area of the canvas.
+// Drawing is split up so that thousands of eyes stay smooth. The eye whites never move, so they
+// are drawn once into a layer that is only redrawn when the field changes. The pupils are drawn
+// from copies of the pupil image cached at each size in use, straight onto the canvas, so the
+// big source image is never scaled down again frame after frame. A pack's frame, drawn over the
+// pupils, gets a layer of its own.
+// How the eyes look comes from an asset pack (see asset-packs.js), and can be changed at any time.
+
+const GOOGLY_EYE_DISC = 0.83; // Share of googly-eye.png's width covered by the eye itself
+const GOOGLY_EYE_WIDTH = 735; // Width of googly-eye.png, which pupil travel is measured in
+
+let eyeSizeRange = [0.6, 1.4]; // Smallest and biggest eye, as multiples of the average eye width
+let eyeGap = 2; // Pixels kept clear between neighbouring eyes
+let eyeRepackChange = 0.2; // Share the eye width must change by before the field is packed afresh
+
+class EyeField {
+  /**
+   * @param {Object} pack - The loaded asset pack the eyes are drawn with.
+   * @param {Object} fallback - The loaded pack whose layers stand in for the pack's missing ones.
+   * @param {number} rimDistance - Pixels of googly-eye.png from the eye's centre to the pupil's
+   *   centre when the pupil touches the rim, for the googly physics.
+   */
+  constructor(pack, fallback, rimDistance) {
+    this.pack = pack;
+    this.fallback = fallback;
+    this.rimDistance = rimDistance;
+    this.eyes = []; // { staticX, staticY, scale, moveX, moveY, pupil, disc, sprite }
+    this.eyeWidth = 0; // Average width of an eye on the canvas
+    this.layer = null; // The eye whites, drawn once
+    this.frameLayer = null; // The pack's frames around the eyes, drawn once, while it has any
+    this.pupilSprites = new Map(); // Scaled copies of the pupil image, by width
+  }
+
+  /**
+   * Draws the eyes with another asset pack from now on.
+   * @param {Object} pack - A loaded pack.
+   */
+  setPack(pack) {
+    this.pack = pack;
+    this.pupilSprites.clear();
+    for (let eye of this.eyes) {
+      eye.sprite = this.pupilSprite(eye.disc.r * 2);
+    }
+    this.drawLayer();
+  }
+
+  /**
+   * Fills the canvas with eyes. Eyes still on the canvas stay where they are and only the gaps
+   * are filled, e.g. after the canvas has grown, unless the eye width has changed a lot, in
+   * which case the field is packed afresh.
+   * @param {number} eyeWidth - Average width of an eye on the canvas.
+   * @param {boolean} [repack=false] - Whether to pack the field afresh anyway.
+   */
+  fill(eyeWidth, repack = false) {
+    if (repack || abs(eyeWidth - this.eyeWidth) > this.eyeWidth * eyeRepackChange) {
+      this.eyeWidth = eyeWidth;
+      this.eyes = [];
+      this.pupilSprites.clear();
+    }
+    this.eyes = this.eyes.filter(eye => eye.staticX < width && eye.staticY < height);
+
+    let radius = this.eyeWidth / 2 * GOOGLY_EYE_DISC;
+    let discs = poissonDiscs(width, height, {
+      minRadius: radius * eyeSizeRange[0],
+      maxRadius: radius * eyeSizeRange[1],
+      gap: eyeGap,
+      existing: this.eyes.map(eye => eye.disc),
+      random: random
+    });
+    for (let disc of discs) {
+      this.eyes.push(this.createEye(disc));
+    }
+    this.drawLayer();
+  }
+
+  createEye(disc) {
+    let scale = disc.r / GOOGLY_EYE_DISC * 2 / GOOGLY_EYE_WIDTH;
+    return {
+      staticX: disc.x,
+      staticY: disc.y,
+      scale: scale, // Of the eye compared to googly-eye.png
+      moveX: 0, // Offset of the pupil from the eye's centre
+      moveY: 0,
+      pupil: new GooglyPupil(this.rimDistance * scale, random), // Used in googly mode
+      disc: disc,
+      sprite: this.pupilSprite(disc.r * 2)
+    };
+  }
+
+  /**
+   * One of the pack's layers, or the fallback's where the pack's image is missing.
+   */
+  packLayer(name) {
+    return packLayer(this.pack, name, this.fallback);
+  }
+
+  /**
+   * The pupil for an eye of a width, scaled once and then reused.
+   * @returns {{canvas: HTMLCanvasElement, width: number, height: number}}
+   */
+  pupilSprite(eyeWidth) {
+    let layer = this.packLayer('pupil');
+    let key = max(1, round(eyeWidth * layer.scale));
+    let sprite = this.pupilSprites.get(key);
+    if (!sprite) {
+      let density = pixelDensity();
+      let [sx, sy, sw, sh] = layer.crop;
+      let spriteHeight = key * sh / sw;
+      let canvas = document.createElement('canvas');
+      canvas.width = ceil(key * density);
+      canvas.height = ceil(spriteHeight * density);
+      canvas.getContext('2d').drawImage(layer.image.canvas, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+      sprite = { canvas: canvas, width: key, height: spriteHeight };
+      this.pupilSprites.set(key, sprite);
+    }
+    return sprite;
+  }
+
+  /**
+   * The eye at a point on the canvas, or null if the point is between eyes.
+   */
+  eyeAt(x, y) {
+    for (let eye of this.eyes) {
+      let dx = x - eye.disc.x;
+      let dy = y - eye.disc.y;
+      if (dx * dx + dy * dy < eye.disc.r * eye.disc.r) {
+        return eye;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Draws every eye white into the layer, and every frame into the frame layer.
+   */
+  drawLayer() {
+    this.layer = this.canvasLayer(this.layer);
+    this.layer.clear();
+    this.layer.imageMode(CENTER);
+    let sclera = this.packLayer('sclera');
+    for (let eye of this.eyes) {
+      if (sclera) {
+        drawPackLayer(sclera, eye.staticX, eye.staticY, eye.disc.r * 2, undefined, this.layer);
+      } else {
+        this.layer.fill(255);
+        this.layer.stroke(0, 40);
+        this.layer.circle(eye.staticX, eye.staticY, eye.disc.r * 2);
+      }
+    }
+
+    let frame = this.packLayer('frame');
+    if (!frame) {
+      if (this.frameLayer) {
+        this.frameLayer.remove();
+        this.frameLayer = null;
+      }
+      return;
+    }
+    this.frameLayer = this.canvasLayer(this.frameLayer);
+    this.frameLayer.clear();
+    this.frameLayer.imageMode(CENTER);
+    let context = this.frameLayer.drawingContext;
+    for (let eye of this.eyes) {
+      // Each frame is cut to its eye, so it never covers the neighbours
+      context.save();
+      context.beginPath();
+      context.arc(eye.staticX, eye.staticY, eye.disc.r, 0, TWO_PI);
+      context.clip();
+      drawPackLayer(frame, eye.staticX, eye.staticY, eye.disc.r * 2, undefined, this.frameLayer);
+      context.restore();
+    }
+  }
+
+  /**
+   * A layer the size of the canvas: the one given, or a new one if it is missing or the wrong size.
+   */
+  canvasLayer(layer) {
+    if (layer && layer.width === width && layer.height === height) {
+      return layer;
+    }
+    if (layer) {
+      layer.remove();
+    }
+    return createGraphics(width, height);
+  }
+
+  /**
+   * Draws the eyes, each pupil moved by the eye's moveX and moveY.
+   */
+  draw() {
+    let context = drawingContext;
+    context.drawImage(this.layer.elt, 0, 0, width, height);
+    let [pivotX, pivotY] = this.packLayer('pupil').pivot;
+    for (let eye of this.eyes) {
+      let sprite = eye.sprite;
+      let eyeWidth = eye.disc.r * 2;
+      context.drawImage(sprite.canvas, eye.staticX + pivotX * eyeWidth + eye.moveX - sprite.width / 2,
+        eye.staticY + pivotY * eyeWidth + eye.moveY - sprite.height / 2, sprite.width, sprite.height);
+    }
+    if (this.frameLayer) {
+      context.drawImage(this.frameLayer.elt, 0, 0, width, height);
+    }
+  }
+}
@@ -0,0 +1,134 @@
+// Drawing helpers for a single eye socket: a white eyeball clipped to the socket ellipse
+// with a pupil sprite on top, and optionally eyelids closing over it.
+// Shared by the portrait creator and the tracking sketch.
+
+/**
+ * Loads a pupil sprite described by an entry of the `pupils` list in portraits.json.
+ * @param {Object} entry - { id, name, image, crop: [x, y, w, h] }
+ * @param {function} [callback] - Called with the sprite once its image has loaded.
+ * @returns {{image: p5.Image, crop: number[]}}
+ */
+function loadPupilSprite(entry, callback) {
+  let sprite = { id: entry.id, image: null, crop: entry.crop };
+  sprite.image = loadImage(entry.image, () => {
+    if (!sprite.crop) {
+      sprite.crop = [0, 0, sprite.image.width, sprite.image.height];
+    }
+    if (callback) {
+      callback(sprite);
+    }
+  });
+  return sprite;
+}
+
+/**
+ * Draws one eye: the socket is filled white and the pupil is drawn clipped to it.
+ * @param {Object} sprite - A sprite from loadPupilSprite().
+ * @param {number} cx - Centre of the socket on the canvas.
+ * @param {number} cy
+ * @param {number} rx - Horizontal radius of the socket.
+ * @param {number} ry - Vertical radius of the socket.
+ * @param {number} diameter - Diameter of the pupil sprite on the canvas.
+ * @param {number} dx - Offset of the pupil from the socket centre.
+ * @param {number} dy
+ * @param {Object} [lids] - Eyelids to draw over the eye, see drawSocketLids().
+ * @param {Object} [sclera] - An eye white from an asset pack (see asset-packs.js), stretched to
+ *   the socket; plain white without one.
+ */
+function drawSocketPupil(sprite, cx, cy, rx, ry, diameter, dx, dy, lids, sclera) {
+  push();
+  noStroke();
+  fill(255);
+  ellipse(cx, cy, rx * 2, ry * 2);
+
+  // Clip to the socket so the pupil disappears under the eyelids at the edges
+  drawingContext.save();
+  drawingContext.beginPath();
+  drawingContext.ellipse(cx, cy, rx, ry, 0, 0, TWO_PI);
+  drawingContext.clip();
+  imageMode(CENTER);
+  if (sclera) {
+    drawPackLayer(sclera, cx, cy, rx * 2, ry * 2);
+  }
+  if (sprite.image && sprite.crop) {
+    let [sx, sy, sw, sh] = sprite.crop;
+    image(sprite.image, cx + dx, cy + dy, diameter, diameter, sx, sy, sw, sh);
+  }
+  if (lids) {
+    drawSocketLids(cx, cy, rx, ry, lids);
+  }
+  drawingContext.restore();
+  pop();
+}
+
+/**
+ * Draws the upper and lower eyelids of a socket. Call while clipped to the socket.
+ * Each lid is filled with its sprite, or a flat colour when it has none, and edged with a
+ * darker lash line.
+ * @param {Object} lids - { upper, lower, color: [r, g, b], sprite? } where upper and lower are
+ *   the share (0-1) of the socket height each lid covers and sprite is { image, crop }.
+ */
+function drawSocketLids(cx, cy, rx, ry, lids) {
+  let upperEdge = cy - ry + lids.upper * ry * 2;
+  let lowerEdge = cy + ry - lids.lower * ry * 2;
+  if (lids.upper > 0.01) {
+    drawLid(cx, cy, rx, ry, cy - ry - 1, upperEdge, lids.upper, lids);
+  }
+  if (lids.lower > 0.01) {
+    drawLid(cx, cy, rx, ry, cy + ry + 1, lowerEdge, lids.lower, lids);
+  }
+}
+
+/**
+ * Draws one lid, from the socket edge at `baseY` to its curved rim at `edgeY`,
+ * covering `share` (0-1) of the socket.
+ */
+function drawLid(cx, cy, rx, ry, baseY, edgeY, share, lids) {
+  // The rim bows away from the base in the middle, like a real lid over a round eyeball,
+  // and flattens as the lid closes so the corners are covered too
+  let bow = (edgeY - baseY) * 0.35 * (1 - share);
+  let ctx = drawingContext;
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(cx - rx - 1, baseY);
+  ctx.lineTo(cx + rx + 1, baseY);
+  ctx.lineTo(cx + rx + 1, edgeY - bow);
+  ctx.quadraticCurveTo(cx, edgeY + bow, cx - rx - 1, edgeY - bow);
+  ctx.closePath();
+  ctx.clip();
+
+  if (lids.sprite && lids.sprite.image && lids.sprite.crop) {
+    // The sprite slides with the rim, so the skin moves rather than being uncovered
+    let [sx, sy, sw, sh] = lids.sprite.crop;
+    let offset = edgeY - (baseY < cy ? cy + ry : cy - ry);
+    image(lids.sprite.image, cx, cy + offset, rx * 2 + 2, ry * 2 + 2, sx, sy, sw, sh);
+  } else {
+    fill(lids.color);
+    rect(cx - rx - 1, min(baseY, edgeY + bow), rx * 2 + 2, abs(edgeY + bow - baseY));
+  }
+  ctx.restore();
+
+  // The lash line along the rim
+  let [r, g, b] = lids.color;
+  noFill();
+  stroke(r * 0.35, g * 0.3, b * 0.3);
+  strokeWeight(max(1.5, ry * 0.08));
+  beginShape();
+  vertex(cx - rx - 1, edgeY - bow);
+  quadraticVertex(cx, edgeY + bow, cx + rx + 1, edgeY - bow);
+  endShape();
+  noStroke();
+}
+
+/**
+ * How far a pupil of the given diameter can travel from the socket centre on each axis
+ * before it is hidden by the socket edge. A little vertical travel is always allowed,
+ * as pupils are usually taller than the opening of the eye.
+ */
+function socketPupilTravel(rx, ry, diameter) {
+  let radius = diameter / 2;
+  return {
+    x: max(rx - radius, 0),
+    y: max(ry - radius, ry * 0.25)
+  };
+}
@@ -0,0 +1,207 @@
+// A small encoder for looping animated GIFs, for the capture feature (see canvas-capture.js).
+// Every frame uses one fixed palette: a 6×6×6 colour cube plus a ramp of 40 greys, which keeps the
+// black and white of the eyes clean without working out a palette for each capture.
+
+const GIF_GREYS = 40; // Shades of grey after the 216 colours of the cube
+
+/**
+ * The fixed palette, as 256 RGB triples.
+ * @returns {Uint8Array} 768 bytes.
+ */
+function gifPalette() {
+  let palette = new Uint8Array(768);
+  for (let i = 0; i < 216; i++) {
+    palette[i * 3] = Math.floor(i / 36) * 51;
+    palette[i * 3 + 1] = Math.floor(i / 6) % 6 * 51;
+    palette[i * 3 + 2] = i % 6 * 51;
+  }
+  for (let i = 0; i < GIF_GREYS; i++) {
+    let grey = Math.round(i * 255 / (GIF_GREYS - 1));
+    palette.set([grey, grey, grey], (216 + i) * 3);
+  }
+  return palette;
+}
+
+/**
+ * Turns RGBA pixels into indices into gifPalette(). Nearly grey pixels take the grey ramp,
+ * everything else the nearest colour of the cube.
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8Array} One index per pixel.
+ */
+function gifIndices(rgba) {
+  let indices = new Uint8Array(rgba.length / 4);
+  for (let p = 0; p < indices.length; p++) {
+    let r = rgba[p * 4];
+    let g = rgba[p * 4 + 1];
+    let b = rgba[p * 4 + 2];
+    if (Math.max(r, g, b) - Math.min(r, g, b) < 16) {
+      indices[p] = 216 + Math.round((r + g + b) / 3 * (GIF_GREYS - 1) / 255);
+    } else {
+      indices[p] = Math.round(r / 51) * 36 + Math.round(g / 51) * 6 + Math.round(b / 51);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Bytes written one at a time into a typed array that grows as needed, so a frame's compressed
+ * data never sits in a plain array of numbers.
+ */
+class GifBytes {
+  constructor(size = 1024) {
+    this.data = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  push(...values) {
+    if (this.length + values.length > this.data.length) {
+      let grown = new Uint8Array(Math.max(this.data.length * 2, this.length + values.length));
+      grown.set(this.data.subarray(0, this.length));
+      this.data = grown;
+    }
+    for (let value of values) {
+      this.data[this.length++] = value;
+    }
+  }
+
+  word(value) {
+    this.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  text(string) {
+    for (let i = 0; i < string.length; i++) {
+      this.push(string.charCodeAt(i));
+    }
+  }
+
+  /**
+   * The bytes written so far.
+   */
+  bytes() {
+    return this.data.slice(0, this.length);
+  }
+}
+
+/**
+ * Encodes a GIF that loops forever, one frame at a time: each frame is compressed as soon as it
+ * is added, so only the compressed file is kept while a capture runs.
+ */
+class GifEncoder {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {number} [delay=10] - Hundredths of a second each frame is shown.
+   */
+  constructor(width, height, delay = 10) {
+    this.width = width;
+    this.height = height;
+    this.delay = delay;
+    this.frameCount = 0;
+
+    let header = new GifBytes(800);
+    header.text('GIF89a');
+    header.word(width);
+    header.word(height);
+    header.push(0xf7, 0, 0); // A global palette of 256 colours, background colour 0, square pixels
+    header.push(...gifPalette());
+    // Loop forever
+    header.push(0x21, 0xff, 0x0b);
+    header.text('NETSCAPE2.0');
+    header.push(0x03, 0x01);
+    header.word(0);
+    header.push(0);
+    this.chunks = [header.bytes()]; // The file so far, in pieces
+  }
+
+  /**
+   * Compresses a frame and adds it to the file.
+   * @param {Uint8Array} indices - The frame's indices into gifPalette(), from gifIndices().
+   */
+  addFrame(indices) {
+    let data = gifLzw(indices);
+    let frame = new GifBytes(data.length + Math.ceil(data.length / 255) + 32);
+    frame.push(0x21, 0xf9, 0x04, 0x04); // Graphic control: keep the frame in place
+    frame.word(this.delay);
+    frame.push(0, 0);
+    frame.push(0x2c);
+    frame.word(0);
+    frame.word(0);
+    frame.word(this.width);
+    frame.word(this.height);
+    frame.push(0); // No palette of its own, not interlaced
+    frame.push(8); // Smallest code size
+    for (let start = 0; start < data.length; start += 255) {
+      let block = data.subarray(start, start + 255);
+      frame.push(block.length, ...block);
+    }
+    frame.push(0);
+    this.chunks.push(frame.bytes());
+    this.frameCount++;
+  }
+
+  /**
+   * Ends the file.
+   * @returns {Uint8Array[]} The file in pieces, e.g. for a Blob.
+   */
+  finish() {
+    this.chunks.push(Uint8Array.of(0x3b));
+    return this.chunks;
+  }
+}
+
+/**
+ * Compresses a frame's indices with GIF's variable-length LZW, starting from 9-bit codes.
+ */
+function gifLzw(indices) {
+  const CLEAR = 256;
+  const END = 257;
+  // Every code is at most 12 bits and stands for at least one index, with a clear code after
+  // every 3838 codes and the first clear and end codes on top
+  let output = new Uint8Array(Math.ceil((indices.length + indices.length / 3838 + 3) * 12 / 8) + 1);
+  let length = 0;
+  let buffer = 0; // Bits not yet written, lowest first
+  let bufferBits = 0;
+  let codeSize = 9;
+  let emit = code => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      output[length++] = buffer & 0xff;
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  let table = new Map(); // Code of each known sequence, keyed by its prefix's code and last index
+  let nextCode = END + 1;
+  emit(CLEAR);
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    let index = indices[i];
+    let key = current * 256 + index;
+    let known = table.get(key);
+    if (known !== undefined) {
+      current = known;
+      continue;
+    }
+    emit(current);
+    if (nextCode === 4096) {
+      emit(CLEAR);
+      table.clear();
+      nextCode = END + 1;
+      codeSize = 9;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    }
+    current = index;
+  }
+  emit(current);
+  emit(END);
+  if (bufferBits > 0) {
+    output[length++] = buffer & 0xff;
+  }
+  return output.subarray(0, length);
+}
@@ -0,0 +1,77 @@
+// Physics for a googly eye's pupil: a loose disc rolling about inside the eye's rim.
+// Gravity pulls it down, it keeps moving after a push (inertia) until friction slows it
+// (damping), and it bounces off the rim. Every pupil gets a slightly different mass,
+// damping, bounciness and response to gravity, so a field of them never moves in lockstep.
+// Positions are offsets from the centre of the eye, in canvas pixels.
+
+class GooglyPupil {
+  /**
+   * @param {number} rim - How far the pupil's centre can move from the eye's centre.
+   * @param {function} [random=Math.random] - Source of random numbers for the per-eye variation.
+   */
+  constructor(rim, random = Math.random) {
+    let vary = (low, high) => low + random() * (high - low);
+    this.rim = rim;
+    this.mass = vary(0.6, 1.4); // Heavier pupils are pushed around less by the pointer
+    this.damping = vary(1.5, 4); // Share of the speed lost per second, roughly
+    this.bounce = vary(0.35, 0.75); // Share of the speed kept when bouncing off the rim
+    this.gravityScale = vary(0.85, 1.15); // Some pupils stick a little, some slide freely
+    this.rimFriction = vary(0.02, 0.08); // Share of the rolling speed lost along the rim per bounce
+
+    // Start somewhere in the lower half, as if the eye had been lying around
+    let angle = vary(0.2, Math.PI - 0.2);
+    let distance = rim * Math.sqrt(random());
+    this.x = Math.cos(angle) * distance;
+    this.y = Math.sin(angle) * distance;
+    this.vx = 0;
+    this.vy = 0;
+  }
+
+  /**
+   * Moves the pupil on by `dt` seconds.
+   * @param {number} dt
+   * @param {Object} forces - Accelerations in pixels per second squared:
+   *   gravityX/gravityY pull every pupil (scaled by its gravityScale),
+   *   frameX/frameY is how the eye itself is accelerating (e.g. a shaken phone), so the pupil
+   *   lags the other way, and pushX/pushY is a push on this pupil (divided by its mass).
+   */
+  step(dt, forces) {
+    // Long frames (a hidden tab coming back) are cut into short steps so nothing tunnels through the rim
+    let steps = Math.ceil(dt / (1 / 60));
+    let h = dt / steps;
+    let ax = forces.gravityX * this.gravityScale - forces.frameX + forces.pushX / this.mass;
+    let ay = forces.gravityY * this.gravityScale - forces.frameY + forces.pushY / this.mass;
+    let keep = Math.exp(-this.damping * h);
+
+    for (let i = 0; i < steps; i++) {
+      this.vx = (this.vx + ax * h) * keep;
+      this.vy = (this.vy + ay * h) * keep;
+      this.x += this.vx * h;
+      this.y += this.vy * h;
+      this.collide();
+    }
+  }
+
+  /**
+   * Keeps the pupil inside the rim, bouncing it back off the rim when it hits it.
+   */
+  collide() {
+    let distance = Math.hypot(this.x, this.y);
+    if (distance <= this.rim || distance === 0) {
+      return;
+    }
+    let nx = this.x / distance;
+    let ny = this.y / distance;
+    this.x = nx * this.rim;
+    this.y = ny * this.rim;
+
+    let outward = this.vx * nx + this.vy * ny;
+    if (outward > 0) {
+      // Reflect the part of the speed going into the rim, and lose a little of the rest
+      let tx = this.vx - outward * nx;
+      let ty = this.vy - outward * ny;
+      this.vx = tx * (1 - this.rimFriction) - outward * this.bounce * nx;
+      this.vy = ty * (1 - this.rimFriction) - outward * this.bounce * ny;
+    }
+  }
+}
@@ -0,0 +1,98 @@
+// Perspective mappings (homographies) between two planes, used to turn positions seen by the
+// camera into positions in front of the projected face.
+// A homography is a 3x3 matrix stored row by row in an array of 9 numbers.
+
+/**
+ * The mapping used before any calibration: the camera sees exactly what the canvas shows,
+ * mirrored left to right. Works on normalised (0-1) coordinates.
+ */
+function mirrorHomography() {
+  return [-1, 0, 1, 0, 1, 0, 0, 0, 1];
+}
+
+/**
+ * Maps a point through a homography.
+ * @returns {{x: number, y: number}}
+ */
+function applyHomography(h, x, y) {
+  let w = h[6] * x + h[7] * y + h[8];
+  return {
+    x: (h[0] * x + h[1] * y + h[2]) / w,
+    y: (h[3] * x + h[4] * y + h[5]) / w
+  };
+}
+
+/**
+ * Finds the homography that best maps each `from` point onto its `to` point (least squares).
+ * Mirroring, rotation, scaling and perspective are all covered.
+ * @param {Object[]} pairs - At least 4 pairs as { from: {x, y}, to: {x, y} }, no three `from` points in a line.
+ * @returns {number[]|null} The homography, or null if the points do not define one.
+ */
+function computeHomography(pairs) {
+  if (pairs.length < 4) {
+    return null;
+  }
+
+  // Each pair gives two linear equations in the first 8 entries (the last one is fixed at 1).
+  // Accumulate the normal equations (AᵀA)h = Aᵀb.
+  let ata = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  let atb = new Array(8).fill(0);
+  for (let pair of pairs) {
+    let { x, y } = pair.from;
+    let { x: u, y: v } = pair.to;
+    let rows = [
+      [[x, y, 1, 0, 0, 0, -u * x, -u * y], u],
+      [[0, 0, 0, x, y, 1, -v * x, -v * y], v]
+    ];
+    for (let [row, value] of rows) {
+      for (let i = 0; i < 8; i++) {
+        atb[i] += row[i] * value;
+        for (let j = 0; j < 8; j++) {
+          ata[i][j] += row[i] * row[j];
+        }
+      }
+    }
+  }
+
+  let solution = solveLinearSystem(ata, atb);
+  return solution ? solution.concat([1]) : null;
+}
+
+/**
+ * Solves the square system m·x = b by Gaussian elimination with partial pivoting.
+ * @returns {number[]|null} x, or null if the system is singular.
+ */
+function solveLinearSystem(m, b) {
+  let n = b.length;
+  let a = m.map((row, i) => row.concat([b[i]]));
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      return null;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      let factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  let x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= a[row][k] * x[k];
+    }
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
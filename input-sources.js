@@ -0,0 +1,209 @@
+// Where the tracking portraits get their gaze from. Every input source is moved on once per frame
+// with update() and then tells the face what to react to with expressionInput(), in the form
+// Expression.update() takes:
+//   camera   whoever the camera sees, through the motion tracker
+//   replay   a recorded camera session, through the motion tracker
+//   pointer  the mouse, a pen or a finger on the canvas (see pointer-tracker.js)
+//   path     a scripted tour of points the eyes visit by themselves, e.g. for a shop window
+//   sync     the targets another screen's camera sees (see screen-sync.js)
+// The sketch falls back to the pointer while the camera is unavailable.
+
+let pointerRestAfter = 3000; // Milliseconds without a pointer before the eyes drift back to the centre
+let pointerStartleSpeed = 4000; // Pointer speed, in pixels per second, that counts as the whole picture moving
+let pathHold = 1500; // Milliseconds the eyes rest on each point of a scripted path
+let pathMove = 900; // Milliseconds the eyes take from one point of a scripted path to the next
+
+// The default scripted path, in fractions of the canvas
+const DEFAULT_PATH = [[0.5, 0.5], [0.25, 0.35], [0.75, 0.35], [0.5, 0.5], [0.3, 0.75], [0.7, 0.75]];
+
+/**
+ * What the face reacts to, from a motion tracker's latest frame. The eyes jump straight to the
+ * person being watched; the tracker's smoothed gaze is only used for the scan of an empty room.
+ */
+function trackedExpressionInput(tracker) {
+  let result = tracker.result;
+  if (!result) {
+    return { x: tracker.gazeX, y: tracker.gazeY, gazeX: tracker.gazeX, gazeY: tracker.gazeY, motion: 0, watchedFor: 0, scanning: false };
+  }
+  let target = result.target;
+  return {
+    x: target ? target.x : tracker.gazeX,
+    y: target ? target.y : tracker.gazeY,
+    gazeX: tracker.gazeX,
+    gazeY: tracker.gazeY,
+    motion: result.totalMotionPoints / (result.gridWidth * result.gridHeight),
+    watchedFor: target ? result.time - target.firstSeen : 0,
+    scanning: result.scanning
+  };
+}
+
+/**
+ * Reads a scripted path such as '0.2,0.3;0.8,0.3;0.5,0.8', points in fractions of the canvas.
+ * @returns {number[][]|null} The points, or null if the text is not a path of at least one point.
+ */
+function parsePath(text) {
+  let points = String(text || '').split(';').map(point => point.split(',').map(Number));
+  let valid = points.every(point => point.length === 2 && point.every(Number.isFinite));
+  return valid && points.length ? points : null;
+}
+
+class CameraInput {
+  /**
+   * @param {CameraManager} camera
+   */
+  constructor(camera) {
+    this.name = 'camera';
+    this.camera = camera;
+  }
+
+  /**
+   * Analyses the camera's latest frame.
+   * @param {MotionTracker|WorkerTracker} tracker
+   * @param {number} time - Current time in milliseconds.
+   * @param {function} [record] - Called with each frame's grid samples and time, while recording.
+   */
+  update(tracker, time, record) {
+    let capture = this.camera.capture;
+    if (!capture || !capture.loadedmetadata) {
+      return;
+    }
+    if (tracker instanceof WorkerTracker) {
+      tracker.processVideo(capture.elt, capture.width, capture.height, time, record);
+    } else {
+      capture.loadPixels();
+      let cells = tracker.sampleFrame(capture.pixels, capture.width, capture.height);
+      if (record) {
+        record(cells, time);
+      }
+      tracker.process(cells, time);
+    }
+  }
+
+  expressionInput(tracker) {
+    return trackedExpressionInput(tracker);
+  }
+}
+
+class ReplayInput {
+  /**
+   * @param {{header: Object, frames: Object[]}} recording - From readRecordingFile().
+   * @param {number} time - Current time in milliseconds, taken as the start of playback.
+   */
+  constructor(recording, time) {
+    this.name = 'replay';
+    this.recording = recording;
+    this.source = new ReplaySource(recording, time);
+  }
+
+  get isPlaying() {
+    return this.source.isPlaying;
+  }
+
+  /**
+   * Hands the recorded frames that have become due to the tracker.
+   */
+  update(tracker, time) {
+    for (let frame of this.source.dueFrames(time)) {
+      tracker.process(frame.cells, frame.time);
+    }
+  }
+
+  expressionInput(tracker) {
+    return trackedExpressionInput(tracker);
+  }
+}
+
+class PointerInput {
+  /**
+   * @param {HTMLElement} element - The canvas.
+   */
+  constructor(element) {
+    this.name = 'pointer';
+    this.pointers = new PointerTracker(element);
+    this.x = null; // Where the eyes look, in canvas coordinates, once known
+    this.y = null;
+    this.speed = 0; // Of the pointer looked at, in pixels per second
+    this.since = null; // When a pointer arrived, while there is one
+    this.lastSeen = -Infinity;
+    this.time = 0;
+  }
+
+  /**
+   * Follows the pointer that moved last, or drifts back to the centre once there has been none
+   * for a while.
+   */
+  update(tracker, time) {
+    this.time = time;
+    if (this.x === null) {
+      this.x = width / 2;
+      this.y = height / 2;
+    }
+    let active = this.pointers.active();
+    let pointer = active.includes(this.pointers.last) ? this.pointers.last : active[0];
+    if (pointer) {
+      this.x = pointer.x;
+      this.y = pointer.y;
+      this.speed = Math.hypot(pointer.vx, pointer.vy);
+      this.since = this.since === null ? time : this.since;
+      this.lastSeen = time;
+    } else {
+      this.speed = 0;
+      this.since = null;
+      if (this.resting) {
+        this.x += (width / 2 - this.x) * 0.02;
+        this.y += (height / 2 - this.y) * 0.02;
+      }
+    }
+  }
+
+  get resting() {
+    return this.time - this.lastSeen > pointerRestAfter;
+  }
+
+  expressionInput() {
+    return {
+      x: this.x,
+      y: this.y,
+      gazeX: this.x,
+      gazeY: this.y,
+      motion: Math.min(1, this.speed / pointerStartleSpeed),
+      watchedFor: this.since === null ? 0 : this.time - this.since,
+      scanning: this.resting
+    };
+  }
+}
+
+class PathInput {
+  /**
+   * @param {number[][]} [points] - The points to visit in turn, in fractions of the canvas.
+   */
+  constructor(points = DEFAULT_PATH) {
+    this.name = 'path';
+    this.points = points;
+    this.start = null;
+    this.x = 0;
+    this.y = 0;
+  }
+
+  /**
+   * Rests on each point, then moves on to the next one, easing in and out.
+   */
+  update(tracker, time) {
+    if (this.start === null) {
+      this.start = time;
+    }
+    let leg = pathHold + pathMove;
+    let elapsed = (time - this.start) % (leg * this.points.length);
+    let index = Math.floor(elapsed / leg);
+    let t = Math.max(0, (elapsed - index * leg - pathHold) / pathMove);
+    let eased = t * t * (3 - 2 * t);
+    let [fromX, fromY] = this.points[index];
+    let [toX, toY] = this.points[(index + 1) % this.points.length];
+    this.x = (fromX + (toX - fromX) * eased) * width;
+    this.y = (fromY + (toY - fromY) * eased) * height;
+  }
+
+  expressionInput() {
+    return { x: this.x, y: this.y, gazeX: this.x, gazeY: this.y, motion: 0, watchedFor: 0, scanning: false };
+  }
+}
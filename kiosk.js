@@ -0,0 +1,76 @@
+// Kiosk mode, for an installation that runs unattended: open the page with ?kiosk and it goes
+// fullscreen and hides the cursor. Browsers only allow fullscreen after a click or key press,
+// unless the browser itself was started in kiosk mode, so it is asked for again on the first one.
+// ?sleep=22:00-07:30 closes the eyes from 22:00 until 07:30 every day, with or without ?kiosk;
+// the tracker and the camera watchdog rest in the meantime.
+
+/**
+ * Reads a daily sleep period such as '22:00-07:30'.
+ * @returns {{start: number, end: number}|null} Minutes after midnight, or null if the text is not a period.
+ */
+function parseSleepSchedule(text) {
+  let match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!match) {
+    return null;
+  }
+  let [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) {
+    return null;
+  }
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
+
+/**
+ * Whether a time falls in a sleep period, which may run past midnight.
+ * @param {{start: number, end: number}|null} schedule - From parseSleepSchedule().
+ * @param {Date} date
+ */
+function isSleepTime(schedule, date) {
+  if (!schedule || schedule.start === schedule.end) {
+    return false;
+  }
+  let minutes = date.getHours() * 60 + date.getMinutes();
+  if (schedule.start < schedule.end) {
+    return minutes >= schedule.start && minutes < schedule.end;
+  }
+  return minutes >= schedule.start || minutes < schedule.end;
+}
+
+class Kiosk {
+  constructor() {
+    let params = new URLSearchParams(window.location.search);
+    this.isOn = params.has('kiosk') && params.get('kiosk') !== 'off';
+    this.sleepSchedule = parseSleepSchedule(params.get('sleep'));
+    if (params.has('sleep') && !this.sleepSchedule) {
+      console.warn('Ignoring sleep period ' + params.get('sleep') + ', expected e.g. 22:00-07:30');
+    }
+  }
+
+  /**
+   * Goes fullscreen and hides the cursor, if kiosk mode is on.
+   */
+  start() {
+    if (!this.isOn) {
+      return;
+    }
+    noCursor();
+    this.enterFullscreen();
+    // Asked for again on the first interaction, in case the browser refused without one
+    let retry = () => this.enterFullscreen();
+    window.addEventListener('pointerdown', retry, { once: true });
+    window.addEventListener('keydown', retry, { once: true });
+  }
+
+  enterFullscreen() {
+    if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+  }
+
+  /**
+   * Whether the face should be asleep now.
+   */
+  get isAsleep() {
+    return isSleepTime(this.sleepSchedule, new Date());
+  }
+}
@@ -0,0 +1,87 @@
+// Places things on a canvas of any size, from a phone to a projector.
+// A layout lists its items per breakpoint; the widest breakpoint the canvas reaches is used.
+// Each item is pinned to an anchor, given as fractions of the canvas ([0, 0] is the top left
+// corner, [0.5, 0.5] the centre), and moved from there by an offset. Lengths (offsets, sizes,
+// spacing) are numbers in vmin, a hundredth of the canvas's shorter side, or strings with a
+// unit: '12vw' and '30vh' are hundredths of the canvas's width and height, '40px' is pixels.
+
+/**
+ * The name of the widest breakpoint a canvas reaches.
+ * @param {Object} breakpoints - Smallest canvas width of each breakpoint, e.g. { phone: 0, desktop: 1100 }.
+ * @param {number} canvasWidth
+ */
+function layoutBreakpoint(breakpoints, canvasWidth) {
+  let best = null;
+  for (let [name, minWidth] of Object.entries(breakpoints)) {
+    if (canvasWidth >= minWidth && (best === null || minWidth >= breakpoints[best])) {
+      best = name;
+    }
+  }
+  return best;
+}
+
+/**
+ * Converts a length to pixels.
+ * @param {number|string} length - A number of vmin, or a string such as '12vw', '30vh', '5vmin' or '40px'.
+ */
+function layoutLength(length, canvasWidth, canvasHeight) {
+  if (typeof length === 'number') {
+    return length * Math.min(canvasWidth, canvasHeight) / 100;
+  }
+  let match = /^(-?[\d.]+)(vw|vh|vmin|vmax|px)$/.exec(String(length).trim());
+  if (!match) {
+    console.warn('Unknown layout length ' + length);
+    return 0;
+  }
+  let value = parseFloat(match[1]);
+  let units = {
+    vw: canvasWidth / 100,
+    vh: canvasHeight / 100,
+    vmin: Math.min(canvasWidth, canvasHeight) / 100,
+    vmax: Math.max(canvasWidth, canvasHeight) / 100,
+    px: 1
+  };
+  return value * units[match[2]];
+}
+
+/**
+ * Works out where every item of a layout goes on a canvas.
+ * @param {Object} layout - { breakpoints, <breakpoint name>: { <item name>: item } }, where an item
+ *   is { anchor: [ax, ay], offset: [dx, dy], ...lengths }. Any other field is taken as a length.
+ * @param {number} canvasWidth
+ * @param {number} canvasHeight
+ * @returns {Object} { breakpoint, <item name>: { x, y, ...lengths in pixels } }
+ */
+function resolveLayout(layout, canvasWidth, canvasHeight) {
+  let breakpoint = layoutBreakpoint(layout.breakpoints, canvasWidth);
+  let resolved = { breakpoint: breakpoint };
+  let length = value => layoutLength(value, canvasWidth, canvasHeight);
+  for (let [name, item] of Object.entries(layout[breakpoint])) {
+    let [ax, ay] = item.anchor || [0.5, 0.5];
+    let [dx, dy] = item.offset || [0, 0];
+    let place = { x: ax * canvasWidth + length(dx), y: ay * canvasHeight + length(dy) };
+    for (let [key, value] of Object.entries(item)) {
+      if (key !== 'anchor' && key !== 'offset') {
+        place[key] = length(value);
+      }
+    }
+    resolved[name] = place;
+  }
+  return resolved;
+}
+
+/**
+ * Shrinks and moves a centred rectangle as little as possible so that it lies on the canvas.
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function fitOnCanvas(x, y, w, h, canvasWidth, canvasHeight) {
+  let shrink = Math.min(1, canvasWidth / w, canvasHeight / h);
+  w *= shrink;
+  h *= shrink;
+  return {
+    x: Math.min(Math.max(x, w / 2), canvasWidth - w / 2),
+    y: Math.min(Math.max(y, h / 2), canvasHeight - h / 2),
+    width: w,
+    height: h
+  };
+}
@@ -0,0 +1,158 @@
+// Keeps the motion threshold and the minimum blob area suited to the room's lighting.
+// On startup (and whenever calibrate() is called) it watches the camera for a moment to
+// measure its noise floor, then keeps adapting as the light changes through the day.
+//
+// Each frame, every colour distance computed by the motion detector is passed to sample().
+// Most of the picture is usually empty room, so the median distance is the noise level and the
+// spread above it (84th percentile minus median, one standard deviation for normal noise) tells
+// how far noise reaches. The threshold is set a few spreads above the median.
+
+const LIGHTING_HISTOGRAM_SIZE = 256;
+
+class LightingCalibration {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold=45] - Starting motion threshold.
+   * @param {number} [options.minArea=1000] - Smallest blob area (capture pixels) counted as a person, before adaptation.
+   * @param {number} [options.calibrationFrames=90] - Frames spent measuring the noise floor.
+   * @param {number} [options.noiseMultiplier=4] - Spreads above the noise level at which motion starts.
+   * @param {number} [options.minThreshold=15] - Lowest threshold ever used.
+   * @param {number} [options.maxThreshold=120] - Highest threshold ever used.
+   * @param {number} [options.adaptRate=0.02] - How fast the threshold follows the lighting after calibration (0-1).
+   * @param {number} [options.speckleLimit=6] - Tiny blobs per frame tolerated before the minimum area grows.
+   * @param {number} [options.globalChangeFraction=0.5] - Share of the picture that, when it changes at once,
+   *   is taken as a lighting change (a light switched on, projector flicker) rather than people.
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 45;
+    this.baseMinArea = options.minArea ?? 1000;
+    this.minArea = this.baseMinArea;
+    this.calibrationFrames = options.calibrationFrames ?? 90;
+    this.noiseMultiplier = options.noiseMultiplier ?? 4;
+    this.minThreshold = options.minThreshold ?? 15;
+    this.maxThreshold = options.maxThreshold ?? 120;
+    this.adaptRate = options.adaptRate ?? 0.02;
+    this.speckleLimit = options.speckleLimit ?? 6;
+    this.globalChangeFraction = options.globalChangeFraction ?? 0.5;
+
+    this.histogram = new Uint32Array(LIGHTING_HISTOGRAM_SIZE);
+    this.sampleCount = 0;
+    this.noiseLevel = 0; // Median colour distance of the last frame
+    this.noiseSpread = 0; // Spread of the noise above the median
+    this.calibratedMinArea = this.baseMinArea; // The minimum area found by the last calibration
+    this.largestNoiseArea = 0; // Biggest blob seen while calibrating
+    this.globalChange = false; // Whether the last frame was a lighting change
+    this.framesLeft = 0;
+    this.calibrate();
+  }
+
+  /**
+   * Starts measuring the noise floor. The room should be empty while this runs.
+   */
+  calibrate() {
+    this.framesLeft = this.calibrationFrames;
+    this.largestNoiseArea = 0;
+  }
+
+  get isCalibrating() {
+    return this.framesLeft > 0;
+  }
+
+  /**
+   * Records one colour distance computed by the motion detector this frame.
+   */
+  sample(distance) {
+    this.histogram[Math.min(LIGHTING_HISTOGRAM_SIZE - 1, Math.floor(distance))]++;
+    this.sampleCount++;
+  }
+
+  /**
+   * Finds the value below which the given share of this frame's samples lie.
+   */
+  percentile(fraction) {
+    let wanted = this.sampleCount * fraction;
+    let seen = 0;
+    for (let i = 0; i < LIGHTING_HISTOGRAM_SIZE; i++) {
+      seen += this.histogram[i];
+      if (seen >= wanted) {
+        return i;
+      }
+    }
+    return LIGHTING_HISTOGRAM_SIZE - 1;
+  }
+
+  /**
+   * Updates the threshold from this frame's samples. Call after every pixel has been sampled.
+   * @returns {boolean} True if the frame should be ignored because the lighting changed as a whole.
+   */
+  endFrame() {
+    if (this.sampleCount === 0) {
+      return false;
+    }
+
+    let above = 0;
+    for (let i = Math.ceil(this.threshold); i < LIGHTING_HISTOGRAM_SIZE; i++) {
+      above += this.histogram[i];
+    }
+    this.globalChange = above / this.sampleCount > this.globalChangeFraction;
+
+    // A lighting jump says nothing about the usual noise, so it is left out of the adaptation
+    if (!this.globalChange) {
+      this.noiseLevel = this.percentile(0.5);
+      this.noiseSpread = Math.max(this.percentile(0.84) - this.noiseLevel, 1);
+      let target = this.noiseLevel + this.noiseMultiplier * this.noiseSpread;
+      target = Math.max(this.minThreshold, Math.min(this.maxThreshold, target));
+      let rate = this.isCalibrating ? 0.2 : this.adaptRate;
+      this.threshold += (target - this.threshold) * rate;
+    }
+
+    this.histogram.fill(0);
+    this.sampleCount = 0;
+    return this.globalChange;
+  }
+
+  /**
+   * Adapts the minimum blob area from the blobs found this frame.
+   * While calibrating every blob is noise, so the minimum is set just above the biggest one.
+   * Afterwards the minimum grows while many tiny blobs appear and relaxes back when they stop.
+   * @param {number[]} areas - Area of every blob found this frame, in capture pixels.
+   */
+  observeBlobs(areas) {
+    if (this.isCalibrating) {
+      // Noise blobs are only meaningful once the threshold has settled, half way through
+      if (this.framesLeft < this.calibrationFrames / 2) {
+        for (let area of areas) {
+          this.largestNoiseArea = Math.max(this.largestNoiseArea, area);
+        }
+      }
+      this.framesLeft--;
+      if (this.framesLeft === 0) {
+        this.calibratedMinArea = Math.max(this.baseMinArea, this.largestNoiseArea * 1.5);
+        this.minArea = this.calibratedMinArea;
+      }
+      return;
+    }
+
+    let speckles = areas.filter(area => area < this.minArea).length;
+    if (speckles > this.speckleLimit) {
+      this.minArea = Math.min(this.minArea * 1.02, this.calibratedMinArea * 4);
+    } else {
+      this.minArea += (this.calibratedMinArea - this.minArea) * 0.005;
+    }
+  }
+
+  /**
+   * The current values as one line of text for the status readout.
+   */
+  describe() {
+    let text = 'threshold ' + this.threshold.toFixed(1) +
+      '  noise ' + this.noiseLevel + ' ± ' + this.noiseSpread +
+      '  min blob area ' + Math.round(this.minArea) + ' px';
+    if (this.isCalibrating) {
+      text += '  calibrating, keep the room empty…';
+    } else if (this.globalChange) {
+      text += '  lighting change';
+    }
+    return text;
+  }
+}
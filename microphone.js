@@ -0,0 +1,107 @@
+// Listens to the room through the microphone with p5.sound: a sudden loud sound, such as a clap
+// or a slammed door, startles the face, and with a stereo microphone the eyes glance towards
+// the louder side for a moment. Press L or open the page with ?mic to listen.
+// Sounds count as loud against the room's usual level, so a noisy venue doesn't startle the
+// face all the time.
+
+let micStartleRatio = 5; // How many times the usual level a sound must reach to startle
+let micStartleLevel = 0.08; // Quietest level (0-1) that can startle, however still the room
+let micGlanceBalance = 0.3; // Share by which one channel must be louder than the other to glance
+let micGlanceLevel = 0.04; // Quietest level (0-1) that can make the eyes glance
+let micGlanceTime = 1200; // Milliseconds the eyes stay turned to a sound
+
+class MicrophoneListener {
+  constructor() {
+    this.isOn = false;
+    this.starting = false; // Whether the browser is being asked for the microphone
+    this.mic = null;
+    this.amplitude = null;
+    this.usual = 0; // The room's usual level, a slow average
+    this.level = 0; // The latest level (0-1)
+    this.balance = 0; // -1 when only the left channel is heard, 1 when only the right one
+    this.glance = null; // { side, until } while the eyes are turned to a sound
+    this.error = null; // Why the microphone could not be opened, or null
+  }
+
+  toggle() {
+    if (this.isOn || this.starting) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  /**
+   * Asks the browser for the microphone and listens once it is given.
+   */
+  start() {
+    this.error = null;
+    if (!this.mic) {
+      // Called straight away when the browser cannot record at all
+      this.mic = new p5.AudioIn(error => this.failed(error));
+      this.amplitude = new p5.Amplitude(0.3);
+      this.amplitude.setInput(this.mic);
+    }
+    if (!window.navigator.mediaDevices) {
+      this.failed();
+      return;
+    }
+    userStartAudio();
+    this.starting = true;
+    this.mic.start(() => {
+      // Turned off again while the browser was asking
+      if (!this.starting) {
+        this.mic.stop();
+        return;
+      }
+      this.starting = false;
+      this.isOn = true;
+    }, error => this.failed(error));
+  }
+
+  /**
+   * Gives up on the microphone, e.g. when permission is denied or there is none.
+   */
+  failed(error) {
+    console.warn('Could not open the microphone', error);
+    this.error = error && error.name === 'NotAllowedError' ? 'microphone permission denied' : 'microphone unavailable';
+    this.starting = false;
+    this.isOn = false;
+  }
+
+  stop() {
+    if (this.mic) {
+      this.mic.stop();
+    }
+    this.starting = false;
+    this.isOn = false;
+    this.glance = null;
+  }
+
+  /**
+   * Listens for one frame.
+   * @param {number} time - Current time in milliseconds.
+   * @returns {{startle: boolean, glance: number}} Whether a sudden sound should startle the face,
+   *   and the side to glance at: -1 for left, 1 for right, 0 for none.
+   */
+  update(time) {
+    if (!this.isOn) {
+      return { startle: false, glance: 0 };
+    }
+    let left = this.amplitude.getLevel(0);
+    let right = this.amplitude.getLevel(1);
+    this.level = max(left, right);
+    this.balance = left + right > 0 ? (right - left) / (left + right) : 0;
+
+    let startle = this.level > micStartleLevel && this.level > this.usual * micStartleRatio;
+    // Loud moments only slowly raise the usual level, so a burst of noise stands out
+    this.usual += (this.level - this.usual) * (this.level > this.usual ? 0.002 : 0.02);
+
+    if (this.level > micGlanceLevel && abs(this.balance) > micGlanceBalance) {
+      this.glance = { side: Math.sign(this.balance), until: time + micGlanceTime };
+    } else if (this.glance && time > this.glance.until) {
+      this.glance = null;
+    }
+    return { startle: startle, glance: this.glance ? this.glance.side : 0 };
+  }
+}
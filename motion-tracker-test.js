@@ -0,0 +1,85 @@
+// Checks the motion tracker's target events on synthetic camera frames, without a browser:
+//
+//   node motion-tracker-test.js
+//
+// A grey room with a little camera noise is shown to the tracker while it calibrates, then one
+// person walks in, a second one joins and draws a glance, and both leave again. People are
+// squares that flicker from dark to light, so frame differencing sees all of them every frame.
+// Exits with 1 if the events differ from what should happen.
+
+const assert = require('assert');
+const { loadPipeline, seededRandom } = require('./replay-headless.js');
+
+const FRAME_WIDTH = 320;
+const FRAME_HEIGHT = 240;
+const FRAME_INTERVAL = 33; // Milliseconds between frames
+const PERSON_SIZE = 40; // Pixels
+
+/**
+ * An RGBA frame of the grey room with a square for each person.
+ * @param {number[][]} people - Top left corners of the people, in frame pixels.
+ * @param {number} index - The frame's number, which sets the noise and the flicker.
+ */
+function syntheticFrame(people, index) {
+  let noise = seededRandom(index + 1);
+  let pixels = new Uint8ClampedArray(FRAME_WIDTH * FRAME_HEIGHT * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    let grey = 128 + Math.round((noise() - 0.5) * 6);
+    pixels[i] = pixels[i + 1] = pixels[i + 2] = grey;
+    pixels[i + 3] = 255;
+  }
+  let shade = index % 2 ? 40 : 220;
+  for (let [left, top] of people) {
+    for (let y = top; y < top + PERSON_SIZE; y++) {
+      for (let x = left; x < left + PERSON_SIZE; x++) {
+        let i = (x + y * FRAME_WIDTH) * 4;
+        pixels[i] = pixels[i + 1] = pixels[i + 2] = shade;
+      }
+    }
+  }
+  return pixels;
+}
+
+function main() {
+  let { MotionTracker } = loadPipeline();
+  // Every newcomer draws a glance, so the second person is sure to take the eyes for a moment
+  let tracker = new MotionTracker({ viewWidth: 640, viewHeight: 480, glanceChance: 1, random: seededRandom(1) });
+  let events = [];
+  for (let name of ['targetacquired', 'targetchanged', 'targetlost', 'lightingchange']) {
+    tracker.on(name, event => events.push(Object.assign({ name: name }, event)));
+  }
+
+  // The room is empty while the lighting is calibrated, then people come and go
+  let first = [40, 100];
+  let second = [240, 100];
+  let scenes = [
+    { frames: 120, people: [] },
+    { frames: 60, people: [first] },
+    { frames: 60, people: [first, second] },
+    { frames: 60, people: [] }
+  ];
+  let index = 0;
+  for (let scene of scenes) {
+    for (let i = 0; i < scene.frames; i++, index++) {
+      tracker.processPixels(syntheticFrame(scene.people, index), FRAME_WIDTH, FRAME_HEIGHT, index * FRAME_INTERVAL);
+    }
+  }
+
+  let names = events.map(event => event.name);
+  assert.deepStrictEqual(names, ['targetacquired', 'targetchanged', 'targetchanged', 'targetlost'],
+    'unexpected events: ' + names.join(', '));
+  let [acquired, glance, back, lost] = events;
+  // The camera is mirrored, so the first person, on the left of the frame, is on the right of the view
+  assert.ok(acquired.target.x > 320, 'the first person should be looked at first');
+  assert.ok(acquired.time >= 120 * FRAME_INTERVAL && acquired.time < 180 * FRAME_INTERVAL, 'acquired while only the first person is there');
+  assert.notStrictEqual(glance.target.id, acquired.target.id, 'the glance should go to the newcomer');
+  assert.strictEqual(glance.previous.id, acquired.target.id);
+  assert.ok(glance.target.x < 320, 'the newcomer is on the left of the view');
+  assert.strictEqual(back.target.id, acquired.target.id, 'the eyes should go back to the first person after the glance');
+  assert.strictEqual(lost.previous.id, acquired.target.id);
+  assert.ok(lost.time >= 240 * FRAME_INTERVAL, 'lost once everyone has left');
+  assert.strictEqual(tracker.result.target, null);
+  console.log('Target events as expected: ' + names.join(', '));
+}
+
+main();
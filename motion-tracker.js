@@ -0,0 +1,476 @@
+// The motion pipeline of the tracking sketch: finds people in camera frames and works out
+// where the eyes should look. Each frame goes through these steps:
+//   1. Sample the frame on a coarse grid (one pixel every `stepSize` pixels).
+//   2. Compare each grid cell with the previous frame ('diff' mode) or with a learned
+//      background ('average'/'median' modes, see background-model.js) to mark motion.
+//   3. Group neighbouring motion cells into blobs with a flood fill.
+//   4. Map the blobs into the room (see homography.js), follow them across frames
+//      (blob-tracker.js) and pick the one to look at (attention.js).
+//   5. Smooth the gaze towards the target, or slowly scan the room when nobody is there.
+// Usage, in a sketch or outside the browser (see replay-headless.js and motion-tracker-test.js):
+//
+//   let tracker = new MotionTracker({ viewWidth: width, viewHeight: height });
+//   tracker.on('targetacquired', event => ...);
+//   let result = tracker.processPixels(pixels, frameWidth, frameHeight, millis());
+//
+// Events (handlers get one object):
+//   'frame'          every processed frame, with the result of process()
+//   'targetacquired' someone is looked at after nobody was: { target, time }
+//   'targetchanged'  the eyes move on to someone else: { target, previous, time }
+//   'targetlost'     nobody is looked at any more: { previous, time }
+//   'lightingchange' a change across most of the picture was ignored as lighting: { time }
+// Depends on background-model.js, lighting-calibration.js, homography.js, blob-tracker.js and attention.js.
+
+/**
+ * Event subscriptions, shared by MotionTracker and WorkerTracker (worker-tracker.js).
+ */
+class TrackerEvents {
+  constructor() {
+    this.handlers = {}; // Event handlers by event name
+  }
+
+  /**
+   * Subscribes to an event (see the top of this file).
+   * @param {string} name
+   * @param {function(Object)} handler
+   * @returns {function()} Call to unsubscribe again.
+   */
+  on(name, handler) {
+    (this.handlers[name] = this.handlers[name] || []).push(handler);
+    return () => this.off(name, handler);
+  }
+
+  off(name, handler) {
+    let handlers = this.handlers[name];
+    if (handlers && handlers.includes(handler)) {
+      handlers.splice(handlers.indexOf(handler), 1);
+    }
+  }
+
+  emit(name, event) {
+    // Copied so handlers can unsubscribe while being called
+    for (let handler of (this.handlers[name] || []).slice()) {
+      handler(event);
+    }
+  }
+}
+
+class MotionTracker extends TrackerEvents {
+  /**
+   * @param {Object} [options] - Any of the settings returned by settings(), plus
+   *   `homography` (camera-to-room mapping, normalised), `viewWidth`/`viewHeight` (size of the
+   *   canvas the gaze is expressed in) and `random` (random number source for the attention model).
+   */
+  constructor(options = {}) {
+    super();
+    this.stepSize = options.stepSize ?? 4; // Pixels between grid samples
+    this.smoothing = options.smoothing ?? 0.05; // How fast the gaze follows the target (0-1)
+    this.calmDownSmoothing = options.calmDownSmoothing ?? 0.01; // How fast the gaze follows the scan
+    this.calmDownThreshold = options.calmDownThreshold ?? 60; // Frames without anyone before scanning
+    this.scanAmplitude = options.scanAmplitude ?? 150; // How far the scan moves from the centre
+    this.scanSpeed = options.scanSpeed ?? 0.005; // Speed of the scan
+    this.motionMode = options.motionMode || 'diff';
+    this.homography = options.homography || mirrorHomography();
+    this.viewWidth = options.viewWidth ?? 640;
+    this.viewHeight = options.viewHeight ?? 480;
+
+    this.lighting = new LightingCalibration({
+      threshold: options.threshold ?? 45,
+      minArea: options.minBlobArea ?? 100
+    });
+    this.background = new BackgroundModel({
+      mode: this.motionMode === 'diff' ? 'average' : this.motionMode,
+      learningRate: options.learningRate ?? 0.002
+    });
+    this.blobTracker = new BlobTracker();
+    this.attention = new AttentionModel({
+      dwell: options.attentionDwell ?? 4000,
+      glanceChance: options.glanceChance ?? 0.5,
+      random: options.random
+    });
+
+    this.previous = null; // The previous frame's grid samples
+    this.frameCount = 0;
+    this.gazeX = this.viewWidth / 2; // Smoothed position the eyes look at, in view coordinates
+    this.gazeY = this.viewHeight / 2;
+    this.motionDetected = false; // Whether someone is being looked at
+    this.noMotionTimer = 0; // Frames since anyone was looked at
+    this.result = null; // The result of the last processed frame
+    this.metrics = { processingTime: 0 }; // Milliseconds spent on a frame, smoothed
+  }
+
+  /**
+   * The tuning values, in the form accepted by the constructor. Stored with recordings so a
+   * session can be replayed with the settings it was recorded with.
+   */
+  settings() {
+    return {
+      stepSize: this.stepSize,
+      smoothing: this.smoothing,
+      calmDownSmoothing: this.calmDownSmoothing,
+      calmDownThreshold: this.calmDownThreshold,
+      scanAmplitude: this.scanAmplitude,
+      scanSpeed: this.scanSpeed,
+      motionMode: this.motionMode,
+      threshold: this.lighting.threshold,
+      minBlobArea: this.lighting.baseMinArea,
+      learningRate: this.background.learningRate,
+      attentionDwell: this.attention.dwell,
+      glanceChance: this.attention.glanceChance
+    };
+  }
+
+  /**
+   * Changes tuning values while the tracker runs.
+   * @param {Object} settings - Any of the values returned by settings().
+   */
+  configure(settings) {
+    for (let key of ['stepSize', 'smoothing', 'calmDownSmoothing', 'calmDownThreshold', 'scanAmplitude', 'scanSpeed']) {
+      if (settings[key] !== undefined) {
+        this[key] = settings[key];
+      }
+    }
+    if (settings.motionMode !== undefined && settings.motionMode !== this.motionMode) {
+      this.setMotionMode(settings.motionMode);
+    }
+    // The lighting calibration carries on adapting from the new values
+    if (settings.threshold !== undefined) {
+      this.lighting.threshold = settings.threshold;
+    }
+    if (settings.minBlobArea !== undefined) {
+      this.lighting.baseMinArea = settings.minBlobArea;
+      this.lighting.minArea = settings.minBlobArea;
+    }
+    if (settings.learningRate !== undefined) {
+      this.background.learningRate = settings.learningRate;
+    }
+    if (settings.attentionDwell !== undefined) {
+      this.attention.dwell = settings.attentionDwell;
+    }
+    if (settings.glanceChance !== undefined) {
+      this.attention.glanceChance = settings.glanceChance;
+    }
+  }
+
+  /**
+   * Sets the size of the canvas the gaze is expressed in, and re-centres the gaze.
+   */
+  setView(viewWidth, viewHeight) {
+    this.viewWidth = viewWidth;
+    this.viewHeight = viewHeight;
+    this.gazeX = viewWidth / 2;
+    this.gazeY = viewHeight / 2;
+    this.blobTracker.reset();
+  }
+
+  /**
+   * Switches between frame differencing ('diff') and the learned background modes.
+   */
+  setMotionMode(mode) {
+    this.motionMode = mode;
+    if (mode !== 'diff') {
+      this.background.mode = mode;
+      this.background.relearn();
+    }
+  }
+
+  /**
+   * Sets the camera-to-room mapping. Existing tracks belong to the old mapping and are dropped.
+   */
+  setHomography(homography) {
+    this.homography = homography;
+    this.blobTracker.reset();
+  }
+
+  /**
+   * Starts learning the empty room again, for the 'average' and 'median' modes.
+   */
+  relearnBackground() {
+    this.background.relearn();
+  }
+
+  /**
+   * Measures the camera's noise again; the room should be empty meanwhile.
+   */
+  calibrateLighting() {
+    this.lighting.calibrate();
+  }
+
+  /**
+   * Forgets everything learned from previous frames, e.g. when the frame source changes.
+   */
+  reset() {
+    if (this.result && this.result.target) {
+      this.emit('targetlost', { previous: this.result.target, time: this.result.time });
+    }
+    this.result = null;
+    this.previous = null;
+    this.background.relearn();
+    this.blobTracker.reset();
+    this.gazeX = this.viewWidth / 2;
+    this.gazeY = this.viewHeight / 2;
+    this.motionDetected = false;
+    this.noMotionTimer = 0;
+  }
+
+  /**
+   * Samples an RGBA frame on the motion grid.
+   * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixels, row by row.
+   * @param {number} frameWidth
+   * @param {number} frameHeight
+   * @returns {Object} Grid samples as { data (RGB per cell), width, height, step, sourceWidth, sourceHeight }.
+   */
+  sampleFrame(pixels, frameWidth, frameHeight) {
+    let step = this.stepSize;
+    let gridWidth = Math.floor(frameWidth / step);
+    let gridHeight = Math.floor(frameHeight / step);
+    let data = new Uint8ClampedArray(gridWidth * gridHeight * 3);
+    for (let gy = 0; gy < gridHeight; gy++) {
+      for (let gx = 0; gx < gridWidth; gx++) {
+        let index = (gx * step + gy * step * frameWidth) * 4; // * 4 for RGBA
+        let cell = (gx + gy * gridWidth) * 3;
+        data[cell] = pixels[index];
+        data[cell + 1] = pixels[index + 1];
+        data[cell + 2] = pixels[index + 2];
+      }
+    }
+    return {
+      data: data,
+      width: gridWidth,
+      height: gridHeight,
+      step: step,
+      sourceWidth: frameWidth,
+      sourceHeight: frameHeight
+    };
+  }
+
+  /**
+   * Samples an RGBA frame and runs it through the pipeline; see sampleFrame() and process().
+   */
+  processPixels(pixels, frameWidth, frameHeight, time) {
+    return this.process(this.sampleFrame(pixels, frameWidth, frameHeight), time);
+  }
+
+  /**
+   * Runs one frame through the pipeline.
+   * @param {Object} cells - Grid samples from sampleFrame().
+   * @param {number} time - Time of the frame in milliseconds.
+   * @returns {Object} { time, motionGrid, gridWidth, gridHeight, step, totalMotionPoints, blobs, tracks, target, gazeX, gazeY,
+   *   motionDetected, noMotionTimer, scanning, lightingChanged, calibrating, lightingStatus, processingTime }
+   *   where processingTime is how long the frame took, in milliseconds.
+   */
+  process(cells, time) {
+    let startTime = trackerTime();
+    this.frameCount++;
+    let gridWidth = cells.width;
+    let gridHeight = cells.height;
+    let cellCount = gridWidth * gridHeight;
+    if (this.previous && this.previous.length !== cells.data.length) {
+      this.reset();
+    }
+    this.background.resize(cellCount);
+
+    // Step 1: Detect motion and populate the motion grid
+    let motionGrid = new Uint8Array(cellCount);
+    let totalMotionPoints = 0;
+    let useBackground = this.motionMode !== 'diff';
+    let threshold = this.lighting.threshold;
+    for (let cell = 0; cell < cellCount; cell++) {
+      let i = cell * 3;
+      let r1 = cells.data[i];
+      let g1 = cells.data[i + 1];
+      let b1 = cells.data[i + 2];
+
+      let d = 0;
+      if (useBackground) {
+        // Compare with the learned empty room, then let the room adapt slowly
+        d = this.background.difference(cell, r1, g1, b1);
+        this.background.learn(cell, r1, g1, b1, d > threshold);
+      } else if (this.previous) {
+        let dr = r1 - this.previous[i];
+        let dg = g1 - this.previous[i + 1];
+        let db = b1 - this.previous[i + 2];
+        d = Math.sqrt(dr * dr + dg * dg + db * db);
+      }
+      this.lighting.sample(d);
+
+      if (d > threshold) { // If difference is above threshold, mark as motion
+        motionGrid[cell] = 1;
+        totalMotionPoints++;
+      }
+    }
+
+    // A change across most of the picture is the lighting, not people
+    let lightingChanged = this.lighting.endFrame();
+    if (lightingChanged && useBackground) {
+      this.background.relearn();
+    }
+    // Everything differs from a background that is still being learned, so ignore it for now too
+    if (lightingChanged || (useBackground && this.background.isLearning)) {
+      motionGrid.fill(0);
+      totalMotionPoints = 0;
+    }
+    if (useBackground) {
+      this.background.endFrame();
+    }
+
+    // Step 2: Find blobs of neighbouring motion cells
+    let step = cells.step;
+    let blobs = findMotionBlobs(motionGrid, gridWidth, gridHeight).map(blob => {
+      // Centroid in camera pixels, at the centre of the sampled cells
+      let cameraX = blob.xSum / blob.count * step + step / 2;
+      let cameraY = blob.ySum / blob.count * step + step / 2;
+      let position = this.cameraToView(cameraX, cameraY, cells);
+      return {
+        x: position.x,
+        y: position.y,
+        cameraX: cameraX,
+        cameraY: cameraY,
+        count: blob.count,
+        area: blob.count * step * step // Blob area approximation
+      };
+    });
+
+    // Step 3: Follow the significant blobs across frames and let the attention model pick one
+    // While calibrating every blob is taken as noise
+    let calibrating = this.lighting.isCalibrating;
+    this.lighting.observeBlobs(blobs.map(blob => blob.area));
+    let significantBlobs = calibrating ? [] : blobs.filter(blob => blob.area > this.lighting.minArea);
+    let tracks = this.blobTracker.update(significantBlobs, time);
+    let target = this.attention.update(this.blobTracker.confirmedTracks(), time);
+
+    // Step 4: Move the gaze
+    if (target) {
+      this.gazeX += (target.x - this.gazeX) * this.smoothing;
+      this.gazeY += (target.y - this.gazeY) * this.smoothing;
+      this.motionDetected = true;
+      this.noMotionTimer = 0;
+    } else {
+      // Nobody is being tracked
+      this.motionDetected = false;
+      this.noMotionTimer++;
+    }
+
+    // Calm down logic: if no motion for a while, slowly scan the space
+    let scanning = !this.motionDetected && this.noMotionTimer > this.calmDownThreshold;
+    if (scanning) {
+      let scanX = this.viewWidth / 2 + Math.sin(this.frameCount * this.scanSpeed) * this.scanAmplitude;
+      let scanY = this.viewHeight / 2 + Math.cos(this.frameCount * this.scanSpeed * 0.7) * this.scanAmplitude;
+      this.gazeX += (scanX - this.gazeX) * this.calmDownSmoothing;
+      this.gazeY += (scanY - this.gazeY) * this.calmDownSmoothing;
+    }
+
+    let previousTarget = this.result ? this.result.target : null;
+    this.previous = cells.data;
+    this.result = {
+      time: time,
+      motionGrid: motionGrid,
+      gridWidth: gridWidth,
+      gridHeight: gridHeight,
+      step: step,
+      totalMotionPoints: totalMotionPoints,
+      blobs: blobs,
+      tracks: tracks,
+      target: target,
+      gazeX: this.gazeX,
+      gazeY: this.gazeY,
+      motionDetected: this.motionDetected,
+      noMotionTimer: this.noMotionTimer,
+      scanning: scanning,
+      lightingChanged: lightingChanged,
+      calibrating: calibrating,
+      lightingStatus: this.lighting.describe(),
+      processingTime: trackerTime() - startTime
+    };
+    this.metrics.processingTime = smoothMetric(this.metrics.processingTime, this.result.processingTime);
+
+    if (lightingChanged) {
+      this.emit('lightingchange', { time: time });
+    }
+    if (target && !previousTarget) {
+      this.emit('targetacquired', { target: target, time: time });
+    } else if (target && target.id !== previousTarget.id) {
+      this.emit('targetchanged', { target: target, previous: previousTarget, time: time });
+    } else if (!target && previousTarget) {
+      this.emit('targetlost', { previous: previousTarget, time: time });
+    }
+    this.emit('frame', this.result);
+    return this.result;
+  }
+
+  /**
+   * Maps a position in camera pixels into view coordinates through the camera-to-room mapping.
+   * The result lies outside the view for people standing beside or in front of the projection.
+   */
+  cameraToView(x, y, cells) {
+    let p = applyHomography(this.homography, x / cells.sourceWidth, y / cells.sourceHeight);
+    return { x: p.x * this.viewWidth, y: p.y * this.viewHeight };
+  }
+}
+
+/**
+ * A clock in milliseconds for timing frames, wherever the tracker runs.
+ */
+function trackerTime() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Exponential moving average used for the timing metrics.
+ */
+function smoothMetric(average, value) {
+  return average ? average + (value - average) * 0.1 : value;
+}
+
+/**
+ * Groups neighbouring motion cells (8 directions) into blobs using a flood fill (BFS).
+ * @param {Uint8Array} motionGrid - 1 for motion, 0 otherwise, row by row.
+ * @returns {Object[]} Blobs as { xSum, ySum, count } in grid cells.
+ */
+function findMotionBlobs(motionGrid, gridWidth, gridHeight) {
+  let blobs = [];
+  let visited = new Uint8Array(motionGrid.length); // To keep track of visited grid cells
+  // Every cell is queued at most once, so one queue of cell indexes serves all blobs.
+  // Reading it with a moving head avoids queue.shift(), which copies the whole queue each time.
+  let queue = new Int32Array(motionGrid.length);
+
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      if (motionGrid[x + y * gridWidth] !== 1 || visited[x + y * gridWidth]) {
+        continue;
+      }
+      // Found an unvisited motion point, start a new blob search
+      let blob = { xSum: 0, ySum: 0, count: 0 };
+      let head = 0;
+      let tail = 0;
+      queue[tail++] = x + y * gridWidth;
+      visited[x + y * gridWidth] = 1;
+
+      while (head < tail) {
+        let cell = queue[head++]; // Get the next point from the queue
+        let px = cell % gridWidth;
+        let py = (cell - px) / gridWidth;
+        blob.xSum += px;
+        blob.ySum += py;
+        blob.count++;
+
+        // Check neighbors (8 directions)
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            let nx = px + dx;
+            let ny = py + dy;
+            let n = nx + ny * gridWidth;
+
+            // Ensure neighbor is within bounds and is a motion point and not visited
+            if (nx >= 0 && nx < gridWidth && ny >= 0 && ny < gridHeight && motionGrid[n] === 1 && !visited[n]) {
+              visited[n] = 1;
+              queue[tail++] = n;
+            }
+          }
+        }
+      }
+      blobs.push(blob);
+    }
+  }
+  return blobs;
+}
@@ -0,0 +1,66 @@
+// Runs the motion tracker (motion-tracker.js) in a Web Worker, for WorkerTracker (worker-tracker.js).
+// Camera frames arrive as ImageBitmaps already scaled to the analysis resolution; they are read
+// back through an OffscreenCanvas, so no full-size pixels are ever copied on the main thread.
+//
+// Messages in:
+//   { type: 'init', options }                 create the tracker (see MotionTracker's constructor)
+//   { type: 'frame', bitmap, time, record }   process a camera frame; with `record` the grid
+//                                             samples are sent back for a recording
+//   { type: 'cells', cells, time }            process grid samples, e.g. from a recording
+//   { type: 'call', method, args }            call one of the CALLABLE_METHODS on the tracker
+// Messages out:
+//   { type: 'result', result, settings, fromCamera, cells? }
+//   { type: 'event', name, event }            every tracker event except 'frame'
+
+importScripts(
+  'homography.js',
+  'background-model.js',
+  'lighting-calibration.js',
+  'blob-tracker.js',
+  'attention.js',
+  'motion-tracker.js'
+);
+
+const CALLABLE_METHODS = ['configure', 'setView', 'setHomography', 'setMotionMode', 'relearnBackground', 'calibrateLighting', 'reset'];
+const FORWARDED_EVENTS = ['targetacquired', 'targetchanged', 'targetlost', 'lightingchange'];
+
+let tracker;
+let canvas; // OffscreenCanvas the frames are read back from
+let context;
+
+onmessage = event => {
+  let message = event.data;
+  if (message.type === 'init') {
+    tracker = new MotionTracker(message.options);
+    for (let name of FORWARDED_EVENTS) {
+      tracker.on(name, detail => postMessage({ type: 'event', name: name, event: detail }));
+    }
+  } else if (message.type === 'frame') {
+    let bitmap = message.bitmap;
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+      canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      context = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    let pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+    let cells = tracker.sampleFrame(pixels, canvas.width, canvas.height);
+    postResult(tracker.process(cells, message.time), true, message.record ? cells : null);
+  } else if (message.type === 'cells') {
+    postResult(tracker.process(message.cells, message.time), false, null);
+  } else if (message.type === 'call' && CALLABLE_METHODS.includes(message.method)) {
+    tracker[message.method](...message.args);
+  }
+};
+
+function postResult(result, fromCamera, cells) {
+  // The motion grid is new every frame, so it can be handed over instead of copied.
+  // The grid samples are copied: the tracker keeps them for the next frame's comparison.
+  let transfer = [result.motionGrid.buffer];
+  let message = { type: 'result', result: result, settings: tracker.settings(), fromCamera: fromCamera };
+  if (cells) {
+    message.cells = Object.assign({}, cells, { data: cells.data.slice() });
+    transfer.push(message.cells.data.buffer);
+  }
+  postMessage(message, transfer);
+}
@@ -0,0 +1,138 @@
+// Keeps track of every pointer over the canvas (mouse, pen and each finger on a touch screen)
+// using pointer events, and recognises taps and press-and-hold gestures.
+// A mouse is active while it is over the canvas; a finger or pen only while it is pressed.
+
+let tapSlop = 12; // Pixels a pointer may move and still count as a tap or hold
+let tapTime = 350; // Longest press, in milliseconds, that counts as a tap for touch and pen
+let holdTime = 400; // Milliseconds a still press lasts before it becomes a hold
+
+class PointerTracker {
+  /**
+   * @param {HTMLElement} element - The canvas whose pointers are followed.
+   * @param {Object} [handlers] - Gesture callbacks, each given the pointer:
+   *   onTap (a click, or a short still touch), onHold (a press kept still for holdTime)
+   *   and onRelease (any press ending, after onTap if it was a tap).
+   */
+  constructor(element, handlers = {}) {
+    this.element = element;
+    this.handlers = handlers;
+    this.pointers = new Map(); // Active pointers by pointerId
+    this.last = null; // The last active pointer, kept after it has gone
+
+    element.addEventListener('pointerdown', event => this.pressed(event));
+    element.addEventListener('pointermove', event => this.moved(event));
+    element.addEventListener('pointerup', event => this.released(event, true));
+    element.addEventListener('pointercancel', event => this.released(event, false));
+    element.addEventListener('pointerleave', event => {
+      if (event.pointerType === 'mouse') {
+        this.pointers.delete(event.pointerId);
+      }
+    });
+  }
+
+  /**
+   * The pointer for an event, in canvas coordinates, created on first sight.
+   */
+  pointer(event) {
+    let bounds = this.element.getBoundingClientRect();
+    let x = (event.clientX - bounds.left) * (this.element.clientWidth / bounds.width || 1);
+    let y = (event.clientY - bounds.top) * (this.element.clientHeight / bounds.height || 1);
+    let pointer = this.pointers.get(event.pointerId);
+    if (!pointer) {
+      pointer = { id: event.pointerId, type: event.pointerType, x: x, y: y, vx: 0, vy: 0, time: event.timeStamp, down: false, held: false };
+      this.pointers.set(event.pointerId, pointer);
+    }
+    // Speed in pixels per second, smoothed over a few events
+    let dt = (event.timeStamp - pointer.time) / 1000;
+    if (dt > 0) {
+      pointer.vx += ((x - pointer.x) / dt - pointer.vx) * 0.5;
+      pointer.vy += ((y - pointer.y) / dt - pointer.vy) * 0.5;
+    }
+    pointer.x = x;
+    pointer.y = y;
+    pointer.time = event.timeStamp;
+    this.last = pointer;
+    return pointer;
+  }
+
+  pressed(event) {
+    let pointer = this.pointer(event);
+    pointer.down = true;
+    pointer.held = false;
+    pointer.startX = pointer.x;
+    pointer.startY = pointer.y;
+    pointer.startTime = event.timeStamp;
+    // Keep receiving the pointer's events when it moves off the canvas while pressed
+    this.element.setPointerCapture(event.pointerId);
+    clearTimeout(pointer.holdTimer);
+    pointer.holdTimer = setTimeout(() => {
+      if (pointer.down && !this.movedTooFar(pointer)) {
+        pointer.held = true;
+        this.call('onHold', pointer);
+      }
+    }, holdTime);
+  }
+
+  moved(event) {
+    let pointer = this.pointer(event);
+    if (pointer.down && this.movedTooFar(pointer)) {
+      clearTimeout(pointer.holdTimer);
+    }
+  }
+
+  released(event, finished) {
+    let pointer = this.pointers.get(event.pointerId);
+    if (!pointer || !pointer.down) {
+      return;
+    }
+    this.pointer(event);
+    clearTimeout(pointer.holdTimer);
+    pointer.down = false;
+
+    // A mouse click counts however long the button was held; a touch must be short
+    let quick = pointer.type === 'mouse' || event.timeStamp - pointer.startTime < tapTime;
+    if (finished && !pointer.held && quick && !this.movedTooFar(pointer)) {
+      this.call('onTap', pointer);
+    }
+    this.call('onRelease', pointer);
+    pointer.held = false;
+    if (pointer.type !== 'mouse') {
+      this.pointers.delete(event.pointerId);
+    }
+  }
+
+  movedTooFar(pointer) {
+    return dist(pointer.x, pointer.y, pointer.startX, pointer.startY) > tapSlop;
+  }
+
+  call(name, pointer) {
+    if (this.handlers[name]) {
+      this.handlers[name](pointer);
+    }
+  }
+
+  /**
+   * The pointers currently over the canvas. Pointers that have stopped moving lose their speed.
+   * @returns {Object[]} Pointers as { id, type, x, y, vx, vy, down, held }.
+   */
+  active() {
+    let now = performance.now();
+    let pointers = Array.from(this.pointers.values());
+    for (let pointer of pointers) {
+      if (now - pointer.time > 50) {
+        pointer.vx = 0;
+        pointer.vy = 0;
+      }
+    }
+    return pointers;
+  }
+
+  /**
+   * Whether any active pointer is over an area: a hovering mouse, or a pressed finger or pen.
+   * @param {function(number, number): boolean} contains - Tests a point against the area.
+   * @param {boolean} [needsHold=false] - For touch and pen, only count presses that became holds.
+   */
+  isOver(contains, needsHold = false) {
+    return this.active().some(p => (p.type === 'mouse' || (p.down && (p.held || !needsHold))) && contains(p.x, p.y));
+  }
+}
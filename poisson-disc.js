@@ -0,0 +1,98 @@
+// Poisson-disc placement of discs of varied sizes: discs are packed evenly over an area
+// without overlapping, so there are no clumps and no big gaps, unlike plain random positions.
+// Grows outwards from the existing discs (Bridson's algorithm with a radius per disc), so it can
+// also top up an area that has already been partly filled, such as a canvas that has grown.
+
+/**
+ * Packs discs into a width by height area.
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {number} options.minRadius - Radius of the smallest disc.
+ * @param {number} options.maxRadius - Radius of the biggest disc.
+ * @param {number} [options.gap=0] - Smallest distance between the edges of two discs.
+ * @param {Object[]} [options.existing=[]] - Discs already placed, as { x, y, r }, which are kept clear of.
+ * @param {number} [options.attempts=20] - Tries around each disc before it counts as surrounded.
+ * @param {function} [options.random=Math.random] - Source of random numbers, replaceable for repeatable runs.
+ * @returns {Object[]} The new discs, as { x, y, r }. Their centres lie inside the area.
+ */
+function poissonDiscs(width, height, options) {
+  let minRadius = options.minRadius;
+  let maxRadius = options.maxRadius;
+  let gap = options.gap || 0;
+  let attempts = options.attempts || 20;
+  let random = options.random || Math.random;
+
+  // Any disc overlapping a new one has its centre in the same or a neighbouring cell
+  let cellSize = 2 * maxRadius + gap;
+  let columns = Math.max(1, Math.ceil(width / cellSize));
+  let rows = Math.max(1, Math.ceil(height / cellSize));
+  let grid = Array.from({ length: columns * rows }, () => []);
+  let cellOf = (x, y) => {
+    let column = Math.min(columns - 1, Math.max(0, Math.floor(x / cellSize)));
+    let row = Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize)));
+    return [column, row];
+  };
+  let insert = disc => {
+    let [column, row] = cellOf(disc.x, disc.y);
+    grid[row * columns + column].push(disc);
+  };
+  let fits = (x, y, r) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) {
+      return false;
+    }
+    let [column, row] = cellOf(x, y);
+    for (let j = Math.max(0, row - 1); j <= Math.min(rows - 1, row + 1); j++) {
+      for (let i = Math.max(0, column - 1); i <= Math.min(columns - 1, column + 1); i++) {
+        for (let other of grid[j * columns + i]) {
+          let reach = r + other.r + gap;
+          let dx = x - other.x;
+          let dy = y - other.y;
+          if (dx * dx + dy * dy < reach * reach) {
+            return false;
+          }
+        }
+      }
+    }
+    return true;
+  };
+
+  let active = [];
+  for (let disc of options.existing || []) {
+    insert(disc);
+    active.push(disc);
+  }
+  let added = [];
+  let add = disc => {
+    insert(disc);
+    active.push(disc);
+    added.push(disc);
+  };
+  if (!active.length) {
+    add({ x: random() * width, y: random() * height, r: minRadius + random() * (maxRadius - minRadius) });
+  }
+
+  while (active.length) {
+    let index = Math.floor(random() * active.length);
+    let disc = active[index];
+    let placed = false;
+    for (let k = 0; k < attempts && !placed; k++) {
+      // Try just beyond touching distance, so the discs pack closely
+      let r = minRadius + random() * (maxRadius - minRadius);
+      let distance = disc.r + r + gap + random() * minRadius;
+      let angle = random() * Math.PI * 2;
+      let x = disc.x + Math.cos(angle) * distance;
+      let y = disc.y + Math.sin(angle) * distance;
+      if (fits(x, y, r)) {
+        add({ x: x, y: y, r: r });
+        placed = true;
+      }
+    }
+    if (!placed) {
+      // Surrounded: stop growing from this disc
+      active[index] = active[active.length - 1];
+      active.pop();
+    }
+  }
+  return added;
+}
@@ -0,0 +1,116 @@
+// Generic button for one portrait listed in portraits.json.
+// Handles loading its images, hover scaling, hit-testing and the zoom that opens the portrait.
+// Clicks and taps are recognised by the sketch's PointerTracker; the sketch then routes to the
+// portrait (see router.js).
+
+let hoverGrowth = 0.5; // Share of its size a button grows by when hovered
+
+class PortraitButton {
+  /**
+   * Creates a button from a manifest entry and starts loading its images.
+   * Call this from preload() (or a preload callback) so the images are ready by setup().
+   * @param {Object} entry - One item of the `portraits` array in portraits.json.
+   */
+  constructor(entry) {
+    this.id = entry.id;
+    this.name = entry.name;
+    this.page = entry.page;
+    this.scale = 0; // Set by layout() to fit the column
+    this.slot = entry.slot || 0;
+
+    this.buttonImage = loadImage(entry.button);
+    // The hover image is optional; without one the button only grows when hovered
+    this.hoverImage = entry.hover ? loadImage(entry.hover) : null;
+
+    this.x = 0; // Centre of the button on the canvas
+    this.y = 0;
+    this.isHovered = false;
+  }
+
+  /**
+   * Positions and sizes the button in a column according to its slot.
+   * @param {number} slotCount - Total number of slots in the column, so the column stays centred.
+   * @param {Object} column - The column in pixels: { x, y } of its centre, the `width` of a button
+   *   and the `spacing` between neighbouring slots (see resolveLayout() in layout.js).
+   */
+  layout(slotCount, column) {
+    let centreSlot = (slotCount - 1) / 2;
+    this.scale = column.width / this.buttonImage.width;
+    this.x = column.x;
+    this.y = column.y + (this.slot - centreSlot) * column.spacing;
+  }
+
+  /**
+   * Width and height of the button at its resting scale.
+   */
+  get width() {
+    return this.buttonImage.width * this.scale;
+  }
+
+  get height() {
+    return this.buttonImage.height * this.scale;
+  }
+
+  /**
+   * Returns true if the point (px, py) lies inside the button's resting bounds.
+   */
+  contains(px, py) {
+    return px > this.x - this.width / 2 && px < this.x + this.width / 2 &&
+      py > this.y - this.height / 2 && py < this.y + this.height / 2;
+  }
+
+  /**
+   * Updates the hover state: hovered by a mouse, or pressed by a finger or pen.
+   * @param {PointerTracker} pointers
+   */
+  update(pointers) {
+    this.isHovered = pointers.isOver((px, py) => this.contains(px, py));
+  }
+
+  /**
+   * The size the button is drawn at while hovered: grown, but never bigger than the canvas.
+   * @returns {{image: p5.Image, x: number, y: number, width: number, height: number}}
+   */
+  hoveredBounds() {
+    let img = this.hoverImage || this.buttonImage;
+    // The hover image is fitted to the same width as the grown button
+    let grownWidth = this.width * (1 + hoverGrowth);
+    let bounds = fitOnCanvas(this.x, this.y, grownWidth, img.height * (grownWidth / img.width), width, height);
+    bounds.image = img;
+    return bounds;
+  }
+
+  /**
+   * Draws the button, using the hover image (if any) and a bigger size while hovered.
+   */
+  draw() {
+    if (this.isHovered) {
+      let bounds = this.hoveredBounds();
+      image(bounds.image, bounds.x, bounds.y, bounds.width, bounds.height);
+    } else {
+      image(this.buttonImage, this.x, this.y, this.width, this.height);
+    }
+  }
+
+  /**
+   * Draws the button zooming open: from its hovered size and place (t = 0) to covering the
+   * canvas, centred (t = 1).
+   */
+  drawOpening(t) {
+    let start = this.hoveredBounds();
+    let img = start.image;
+    let endWidth = img.width * max(width / img.width, height / img.height);
+    let eased = 1 - pow(1 - constrain(t, 0, 1), 3);
+    let w = lerp(start.width, endWidth, eased);
+    image(img, lerp(start.x, width / 2, eased), lerp(start.y, height / 2, eased), w, img.height * (w / img.width));
+  }
+}
+
+/**
+ * Creates one PortraitButton per entry of a loaded portraits.json manifest.
+ * @param {Object} manifest - The parsed manifest, as returned by loadJSON().
+ * @returns {PortraitButton[]}
+ */
+function createPortraitButtons(manifest) {
+  return manifest.portraits.map(entry => new PortraitButton(entry));
+}
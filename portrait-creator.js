@@ -0,0 +1,375 @@
+// The "add eyes" creation flow for the gallery.
+// The user loads a face image, drags over each eye to mark its socket, picks a pupil sprite,
+// previews the result with live tracking and saves it as a new portrait (see portrait-store.js).
+
+const CREATOR_PANEL_WIDTH = 320; // Width of the control panel on the right of the canvas
+const CREATOR_MAX_FACE_SIZE = 1600; // Loaded faces are shrunk to this width to keep the store small
+const CREATOR_STEPS = ['image', 'sockets', 'pupil', 'preview', 'saved'];
+
+class PortraitCreator {
+  /**
+   * @param {Object[]} pupilEntries - The `pupils` list from portraits.json.
+   * @param {function(Object)} onSaved - Called with each portrait that is saved or imported.
+   */
+  constructor(pupilEntries, onSaved) {
+    this.pupilEntries = pupilEntries;
+    this.onSaved = onSaved;
+    this.pupilSprites = {}; // Loaded on first use, keyed by pupil id
+    this.isOpen = false;
+    this.panel = null;
+    this.previewFrame = null;
+  }
+
+  /**
+   * Opens the creator on its first step with a blank portrait.
+   */
+  open() {
+    this.isOpen = true;
+    this.face = null; // The loaded face as a p5.Image
+    this.faceData = null; // The same face as a data URL, for storing
+    this.sockets = [];
+    this.dragging = null; // The socket currently being dragged out, in face pixels
+    this.pupilId = this.pupilEntries[0].id;
+    this.pupilScale = 1;
+    this.name = '';
+    this.saved = null;
+    this.hint = '';
+    this.showStep('image');
+  }
+
+  /**
+   * Closes the creator and throws away the preview draft.
+   */
+  close() {
+    this.isOpen = false;
+    this.removePreview();
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    deletePortrait(PORTRAIT_DRAFT_ID).catch(error => console.warn('Could not delete draft portrait', error));
+  }
+
+  /**
+   * Switches to a step and rebuilds the control panel for it.
+   * @param {string} step - One of CREATOR_STEPS.
+   */
+  showStep(step) {
+    this.step = step;
+    this.removePreview();
+    if (step === 'preview') {
+      this.showPreview();
+    }
+    this.buildPanel();
+  }
+
+  // --- Control panel ---
+
+  buildPanel() {
+    if (this.panel) {
+      this.panel.remove();
+    }
+    this.panel = createDiv().class('creator-panel');
+    let stepNumber = CREATOR_STEPS.indexOf(this.step) + 1;
+    createElement('h2', 'Add eyes (' + stepNumber + '/' + CREATOR_STEPS.length + ')').parent(this.panel);
+
+    if (this.step === 'image') {
+      this.addText('Load a photo of a face. Faces looking straight at the camera work best.');
+      createFileInput(file => this.loadFace(file)).attribute('accept', 'image/*').parent(this.panel);
+      this.addText('Or import a portrait bundle exported from another machine:');
+      createFileInput(file => this.importBundle(file)).attribute('accept', '.json,application/json').parent(this.panel);
+      this.addButton('Cancel', () => this.close());
+    } else if (this.step === 'sockets') {
+      this.addText('Drag over each eye to mark its socket. Click without dragging for a default size.');
+      this.addText(this.sockets.length + ' socket(s) marked.');
+      this.addButton('Undo last socket', () => {
+        this.sockets.pop();
+        this.buildPanel();
+      }, this.sockets.length === 0);
+      this.addButton('Back', () => this.showStep('image'));
+      this.addButton('Next', () => this.showStep('pupil'), this.sockets.length === 0);
+    } else if (this.step === 'pupil') {
+      this.addText('Pick the eyeballs. Move the mouse over the face to try them out.');
+      let select = createSelect().parent(this.panel);
+      for (let entry of this.pupilEntries) {
+        select.option(entry.name, entry.id);
+      }
+      select.selected(this.pupilId);
+      select.changed(() => {
+        this.pupilId = select.value();
+      });
+      this.addText('Pupil size');
+      let slider = createSlider(0.4, 1.6, this.pupilScale, 0.05).parent(this.panel);
+      slider.input(() => {
+        this.pupilScale = slider.value();
+      });
+      this.addButton('Back', () => this.showStep('sockets'));
+      this.addButton('Preview', () => this.showStep('preview'));
+    } else if (this.step === 'preview') {
+      this.addText('This is the portrait with live tracking. Give it a name and save it.');
+      let nameInput = createInput(this.name || '').attribute('placeholder', 'Name').parent(this.panel);
+      nameInput.input(() => {
+        this.name = nameInput.value();
+      });
+      this.addButton('Back', () => this.showStep('pupil'));
+      this.addButton('Save', () => this.save());
+    } else if (this.step === 'saved') {
+      this.addText('"' + this.saved.name + '" has been added to the gallery.');
+      this.addButton('Export bundle', () => exportPortraitBundle(this.saved));
+      this.addButton('Done', () => this.close());
+    }
+
+    if (this.hint) {
+      this.addText(this.hint).class('creator-error');
+      this.hint = '';
+    }
+  }
+
+  addText(text) {
+    return createP(text).parent(this.panel);
+  }
+
+  addButton(label, action, disabled) {
+    // React on click rather than mouse down, so the press does not reach the gallery
+    // buttons that reappear underneath once the creator closes
+    let button = createButton(label).parent(this.panel).mouseClicked(action);
+    if (disabled) {
+      button.attribute('disabled', '');
+    }
+    return button;
+  }
+
+  showError(message, error) {
+    console.warn(message, error);
+    this.hint = message;
+    this.buildPanel();
+  }
+
+  // --- Steps ---
+
+  /**
+   * Loads the face image picked in the file input.
+   * @param {p5.File} file
+   */
+  loadFace(file) {
+    if (file.type !== 'image') {
+      this.showError(file.name + ' is not an image.');
+      return;
+    }
+    loadImage(file.data, img => {
+      if (img.width > CREATOR_MAX_FACE_SIZE) {
+        img.resize(CREATOR_MAX_FACE_SIZE, 0);
+      }
+      this.face = img;
+      this.faceData = img.canvas.toDataURL('image/jpeg', 0.9);
+      this.sockets = [];
+      this.showStep('sockets');
+    }, error => this.showError('Could not load ' + file.name + '.', error));
+  }
+
+  importBundle(file) {
+    importPortraitBundle(file.file)
+      .then(portrait => {
+        this.onSaved(portrait);
+        this.close();
+      })
+      .catch(error => this.showError(error.message, error));
+  }
+
+  /**
+   * The portrait as it stands, in the format kept by portrait-store.js.
+   */
+  portrait(id) {
+    return {
+      id: id,
+      name: this.name || 'Untitled',
+      face: this.faceData,
+      sockets: this.sockets,
+      pupil: this.pupilId,
+      pupilScale: this.pupilScale,
+      created: Date.now()
+    };
+  }
+
+  /**
+   * Stores the portrait as a draft and shows it through the tracking sketch.
+   */
+  showPreview() {
+    savePortrait(this.portrait(PORTRAIT_DRAFT_ID))
+      .then(() => {
+        // The step may have changed while the draft was being saved
+        if (this.step !== 'preview') {
+          return;
+        }
+        this.previewFrame = createElement('iframe')
+          .attribute('src', 'trump-eyes.html?portrait=' + PORTRAIT_DRAFT_ID)
+          .attribute('allow', 'camera')
+          .class('creator-preview');
+      })
+      .catch(error => this.showError('Could not save the preview.', error));
+  }
+
+  removePreview() {
+    if (this.previewFrame) {
+      this.previewFrame.remove();
+      this.previewFrame = null;
+    }
+  }
+
+  save() {
+    let portrait = this.portrait('custom-' + Date.now());
+    portrait.button = this.makeButtonImage();
+    savePortrait(portrait)
+      .then(() => {
+        this.saved = portrait;
+        this.onSaved(portrait);
+        this.showStep('saved');
+      })
+      .catch(error => this.showError('Could not save the portrait.', error));
+  }
+
+  /**
+   * Renders the gallery button: the area around the marked eyes on a dark background,
+   * cropped to the same shape as the built-in buttons.
+   * @returns {string} A PNG data URL.
+   */
+  makeButtonImage() {
+    let g = createGraphics(CUSTOM_BUTTON_WIDTH, CUSTOM_BUTTON_HEIGHT);
+    g.pixelDensity(1);
+    g.background(27);
+
+    let left = min(this.sockets.map(s => s.x - s.rx));
+    let right = max(this.sockets.map(s => s.x + s.rx));
+    let centreX = (left + right) / 2;
+    let centreY = this.sockets.reduce((sum, s) => sum + s.y, 0) / this.sockets.length;
+    let aspect = CUSTOM_BUTTON_WIDTH / CUSTOM_BUTTON_HEIGHT;
+    let cropWidth = min((right - left) * 1.6, this.face.width, this.face.height * aspect);
+    let cropHeight = cropWidth / aspect;
+    let cropX = constrain(centreX - cropWidth / 2, 0, this.face.width - cropWidth);
+    let cropY = constrain(centreY - cropHeight / 2, 0, this.face.height - cropHeight);
+
+    let inset = 8;
+    g.image(this.face, inset, inset, g.width - inset * 2, g.height - inset * 2, cropX, cropY, cropWidth, cropHeight);
+    let data = g.elt.toDataURL('image/png');
+    g.remove();
+    return data;
+  }
+
+  // --- Canvas drawing and mouse handling ---
+
+  /**
+   * Where the face is drawn: fitted into the canvas area left of the panel.
+   */
+  faceView() {
+    let areaWidth = width - CREATOR_PANEL_WIDTH;
+    let s = min(areaWidth * 0.9 / this.face.width, height * 0.9 / this.face.height);
+    return {
+      x: (areaWidth - this.face.width * s) / 2,
+      y: (height - this.face.height * s) / 2,
+      scale: s
+    };
+  }
+
+  draw() {
+    background(40);
+    if (!this.face || this.step === 'preview') {
+      return;
+    }
+
+    let view = this.faceView();
+    push();
+    imageMode(CORNER);
+    image(this.face, view.x, view.y, this.face.width * view.scale, this.face.height * view.scale);
+    pop();
+
+    if (this.step === 'pupil') {
+      this.drawPupils(view);
+      return;
+    }
+
+    push();
+    noFill();
+    stroke(255, 220, 0);
+    strokeWeight(2);
+    let sockets = this.dragging ? this.sockets.concat([this.dragging]) : this.sockets;
+    for (let socket of sockets) {
+      ellipse(view.x + socket.x * view.scale, view.y + socket.y * view.scale,
+        socket.rx * 2 * view.scale, socket.ry * 2 * view.scale);
+    }
+    pop();
+  }
+
+  /**
+   * Draws the chosen pupils in the sockets, looking towards the mouse.
+   */
+  drawPupils(view) {
+    let entry = this.pupilEntries.find(e => e.id === this.pupilId);
+    if (!this.pupilSprites[entry.id]) {
+      this.pupilSprites[entry.id] = loadPupilSprite(entry);
+    }
+    let sprite = this.pupilSprites[entry.id];
+
+    for (let socket of this.sockets) {
+      let cx = view.x + socket.x * view.scale;
+      let cy = view.y + socket.y * view.scale;
+      let rx = socket.rx * view.scale;
+      let ry = socket.ry * view.scale;
+      let diameter = ry * 2 * this.pupilScale;
+      let travel = socketPupilTravel(rx, ry, diameter);
+      let angle = atan2(mouseY - cy, mouseX - cx);
+      let reach = min(dist(mouseX, mouseY, cx, cy) / (rx * 4), 1);
+      drawSocketPupil(sprite, cx, cy, rx, ry, diameter,
+        cos(angle) * travel.x * reach, sin(angle) * travel.y * reach);
+    }
+  }
+
+  /**
+   * Converts a canvas position to face image pixels, or returns null outside the face.
+   */
+  toFace(x, y) {
+    let view = this.faceView();
+    let fx = (x - view.x) / view.scale;
+    let fy = (y - view.y) / view.scale;
+    if (fx < 0 || fy < 0 || fx > this.face.width || fy > this.face.height) {
+      return null;
+    }
+    return { x: fx, y: fy };
+  }
+
+  mousePressed(event) {
+    // Presses on the panel's own controls also reach the sketch; only the canvas matters here
+    if (this.step !== 'sockets' || !event || event.target.tagName !== 'CANVAS') {
+      return;
+    }
+    let point = this.toFace(mouseX, mouseY);
+    if (point) {
+      this.dragging = { x: point.x, y: point.y, rx: 0, ry: 0 };
+    }
+  }
+
+  mouseDragged() {
+    if (!this.dragging) {
+      return;
+    }
+    let view = this.faceView();
+    this.dragging.rx = abs((mouseX - view.x) / view.scale - this.dragging.x);
+    this.dragging.ry = abs((mouseY - view.y) / view.scale - this.dragging.y);
+  }
+
+  mouseReleased() {
+    if (!this.dragging) {
+      return;
+    }
+    let socket = this.dragging;
+    this.dragging = null;
+    // A plain click gets a socket sized relative to the face
+    if (socket.rx < 5 && socket.ry < 5) {
+      socket.rx = this.face.width * 0.06;
+      socket.ry = socket.rx * 0.45;
+    }
+    socket.rx = max(socket.rx, 5);
+    socket.ry = max(socket.ry, 5);
+    this.sockets.push(socket);
+    this.buildPanel();
+  }
+}
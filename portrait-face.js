@@ -0,0 +1,215 @@
+// A tracking face: an optional background, a set of eye sockets with their own pupils,
+// and an optional frame image with holes for the eyes drawn over them.
+// Sockets are given in portrait coordinates, i.e. pixels of the frame (or background) image:
+// {
+//   x, y,        // Centre of the socket
+//   rx, ry,      // Radii of the ellipse the pupil is clipped to
+//   rest,        // [dx, dy] offset of the pupil from the centre when looking straight ahead
+//   pupil,       // Id of an entry in the `pupils` list of portraits.json, or an inline { image, crop }
+//   pupilSize,   // Diameter of the pupil sprite
+//   lid,         // Optional { image, crop } of skin slid over the eye by the eyelids
+//   lidColor     // Optional [r, g, b] of the eyelids; taken from the face just above the socket if missing
+// }
+// A face may also have an `expression` field with its blinking and mood settings (see expression.js).
+
+/**
+ * Finds the sprite description for a socket's `pupil` field.
+ */
+function resolvePupilEntry(pupil, pupilEntries) {
+  if (pupil && typeof pupil === 'object') {
+    return pupil;
+  }
+  return pupilEntries.find(entry => entry.id === pupil) || pupilEntries[0];
+}
+
+/**
+ * Starts loading a face described by the `face` field of a portraits.json entry.
+ * Call this from preload() (or a preload callback) so the images are ready by setup().
+ * @param {Object} definition - { frame, background, sockets }
+ * @param {Object[]} pupilEntries - The `pupils` list from portraits.json.
+ * @param {function(Object)} [callback] - Called with the face once all of its images have loaded.
+ */
+function loadFace(definition, pupilEntries, callback) {
+  let pending = 0;
+  let face = {};
+  let loaded = () => {
+    pending--;
+    if (pending === 0 && callback) {
+      callback(face);
+    }
+  };
+  let load = path => {
+    pending++;
+    return loadImage(path, loaded);
+  };
+  let loadSprite = entry => {
+    pending++;
+    return loadPupilSprite(entry, loaded);
+  };
+
+  face.expression = definition.expression || {};
+  face.frame = definition.frame ? load(definition.frame) : null;
+  face.background = definition.background ? load(definition.background) : null;
+  face.sockets = definition.sockets.map(socket => ({
+    x: socket.x,
+    y: socket.y,
+    rx: socket.rx,
+    ry: socket.ry,
+    rest: socket.rest || [0, 0],
+    pupilSize: socket.pupilSize || socket.ry * 2,
+    sprite: loadSprite(resolvePupilEntry(socket.pupil, pupilEntries)),
+    lid: socket.lid ? loadSprite(socket.lid) : null,
+    lidColor: socket.lidColor || null
+  }));
+  return face;
+}
+
+/**
+ * The colour of a socket's eyelids: its own lidColor, or the colour of the face just above it.
+ */
+function socketLidColor(face, socket) {
+  if (!socket.lidColor) {
+    let img = face.frame || face.background;
+    let c = img.get(round(socket.x), round(socket.y - socket.ry - max(4, socket.ry * 0.1)));
+    // Fall back to a skin tone where the face has no picture above the eye
+    socket.lidColor = c[3] > 128 ? [c[0], c[1], c[2]] : [214, 176, 160];
+  }
+  return socket.lidColor;
+}
+
+/**
+ * Builds the face definition for a portrait made with the creator (see portrait-store.js).
+ * The photo becomes the background and the sockets are painted over its own eyes.
+ */
+function portraitFaceDefinition(portrait) {
+  return {
+    background: portrait.face,
+    sockets: portrait.sockets.map(socket => ({
+      x: socket.x,
+      y: socket.y,
+      rx: socket.rx,
+      ry: socket.ry,
+      pupil: portrait.pupil,
+      pupilSize: socket.ry * 2 * (portrait.pupilScale || 1)
+    })),
+    expression: portrait.expression
+  };
+}
+
+/**
+ * The scale and position that make a face cover the canvas, centred.
+ */
+function faceView(face) {
+  let img = face.frame || face.background;
+  let s = max(width / img.width, height / img.height);
+  return {
+    scale: s,
+    x: width / 2 - img.width / 2 * s,
+    y: height / 2 - img.height / 2 * s
+  };
+}
+
+/**
+ * How far a pupil turns towards a target, per axis, in the range -1 to 1.
+ * The target is treated as sitting `depth` pixels in front of the canvas, so each eye
+ * turns by the angle from its own position: two eyes looking at a point between them
+ * turn inwards (converge), and a point far off to one side makes them nearly parallel.
+ * @param {number} eyeX - Position of the eye on the canvas.
+ * @param {number} eyeY
+ * @param {number} targetX - Position of the target on the canvas.
+ * @param {number} targetY
+ * @param {number} depth - Distance of the target in front of the canvas, in pixels.
+ */
+function socketGaze(eyeX, eyeY, targetX, targetY, depth) {
+  let dx = targetX - eyeX;
+  let dy = targetY - eyeY;
+  let length = sqrt(dx * dx + dy * dy + depth * depth);
+  return { x: dx / length, y: dy / length };
+}
+
+/**
+ * Where each pupil of a face goes when it looks at a target, in canvas coordinates.
+ * @param {Object} face - A face from loadFace().
+ * @param {number} targetX - Where the face is looking, in canvas coordinates.
+ * @param {number} targetY
+ * @param {Object} options - { depth, maxTravel, pack }, see drawFace().
+ * @returns {Object[]} One per socket: { socket, cx, cy, rx, ry, diameter } of the socket on the
+ *   canvas, the pupil centre the gaze alone would give (freeX, freeY) and the pupil centre once
+ *   its travel is capped at maxTravel (x, y).
+ */
+function facePupils(face, targetX, targetY, options) {
+  let view = faceView(face);
+  let s = view.scale;
+  return face.sockets.map(socket => {
+    let cx = view.x + socket.x * s;
+    let cy = view.y + socket.y * s;
+    let rx = socket.rx * s;
+    let ry = socket.ry * s;
+    let restX = cx + socket.rest[0] * s;
+    let restY = cy + socket.rest[1] * s;
+    let diameter = socket.pupilSize * s;
+    let pupilLayer = options.pack ? options.pack.pupil : null;
+    if (pupilLayer) {
+      restX += pupilLayer.pivot[0] * rx * 2;
+      restY += pupilLayer.pivot[1] * rx * 2;
+      diameter = pupilLayer.scale * rx * 2;
+    }
+
+    let travel = socketPupilTravel(rx, ry, diameter);
+    let gaze = socketGaze(restX, restY, targetX, targetY, options.depth);
+    let dx = gaze.x * travel.x;
+    let dy = gaze.y * travel.y;
+    return {
+      socket: socket,
+      cx: cx,
+      cy: cy,
+      rx: rx,
+      ry: ry,
+      diameter: diameter,
+      freeX: restX + dx,
+      freeY: restY + dy,
+      x: restX + constrain(dx, -options.maxTravel, options.maxTravel),
+      y: restY + constrain(dy, -options.maxTravel, options.maxTravel)
+    };
+  });
+}
+
+/**
+ * Draws a face with every pupil aimed at the target from its own socket.
+ * @param {Object} face - A face from loadFace().
+ * @param {number} targetX - Where the face is looking, in canvas coordinates.
+ * @param {number} targetY
+ * @param {Object} options - { depth, maxTravel, expression, pack }: see socketGaze(), a cap on how
+ *   far (in canvas pixels) any pupil may move from its rest position, optionally the lids and
+ *   pupil size from Expression.update(), and optionally an asset pack (see asset-packs.js) whose
+ *   eye white, pupil and lids replace the face's own. Without an expression no lids are drawn.
+ */
+function drawFace(face, targetX, targetY, options) {
+  let view = faceView(face);
+  let s = view.scale;
+  let expression = options.expression;
+  let pack = options.pack || {};
+
+  if (face.background) {
+    image(face.background, width / 2, height / 2, face.background.width * s, face.background.height * s);
+  }
+
+  // Travel is worked out for the normal pupil size, so dilating does not change how far it moves
+  for (let pupil of facePupils(face, targetX, targetY, options)) {
+    let lids = null;
+    if (expression) {
+      lids = {
+        upper: expression.upperLid,
+        lower: expression.lowerLid,
+        color: socketLidColor(face, pupil.socket),
+        sprite: pack.lid || pupil.socket.lid
+      };
+    }
+    drawSocketPupil(pack.pupil || pupil.socket.sprite, pupil.cx, pupil.cy, pupil.rx, pupil.ry,
+      pupil.diameter * (expression ? expression.pupil : 1), pupil.x - pupil.cx, pupil.y - pupil.cy, lids, pack.sclera);
+  }
+
+  if (face.frame) {
+    image(face.frame, width / 2, height / 2, face.frame.width * s, face.frame.height * s);
+  }
+}
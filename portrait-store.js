@@ -0,0 +1,143 @@
+// Local persistence for portraits made with the creator (see portrait-creator.js).
+// Portraits are kept in the browser's IndexedDB, so they only exist on this machine
+// until they are exported as a bundle file.
+//
+// A stored portrait looks like:
+// {
+//   id: 'custom-1718000000000',
+//   name: 'Aunt Jo',
+//   face: 'data:image/png;base64,...',   // The face image the user loaded
+//   sockets: [{ x, y, rx, ry }, ...],    // Eye sockets in face image pixels
+//   pupil: 'googly',                     // Id of an entry in the `pupils` list of portraits.json
+//   pupilScale: 1,                       // Pupil diameter as a fraction of the socket height
+//   button: 'data:image/png;base64,...', // Thumbnail used as the gallery button
+//   created: 1718000000000
+// }
+
+const PORTRAIT_DB_NAME = 'eyes-on-you';
+const PORTRAIT_DB_VERSION = 1;
+const PORTRAIT_STORE_NAME = 'portraits';
+const PORTRAIT_BUNDLE_FORMAT = 'eyes-on-you-portrait';
+const PORTRAIT_DRAFT_ID = 'draft'; // The unsaved portrait shown by the creator's preview
+
+// Size of the generated gallery button, the same shape as the built-in buttons
+const CUSTOM_BUTTON_WIDTH = 706;
+const CUSTOM_BUTTON_HEIGHT = 196;
+
+let portraitDatabase = null; // Cached promise for the opened database
+
+/**
+ * Opens (and on first use creates) the portrait database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openPortraitStore() {
+  if (!portraitDatabase) {
+    portraitDatabase = new Promise((resolve, reject) => {
+      let request = indexedDB.open(PORTRAIT_DB_NAME, PORTRAIT_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(PORTRAIT_STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return portraitDatabase;
+}
+
+/**
+ * Runs a single request against the portrait store and resolves with its result.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ */
+async function portraitStoreRequest(mode, makeRequest) {
+  let db = await openPortraitStore();
+  return new Promise((resolve, reject) => {
+    let transaction = db.transaction(PORTRAIT_STORE_NAME, mode);
+    let request = makeRequest(transaction.objectStore(PORTRAIT_STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Saves a portrait, replacing any stored portrait with the same id.
+ */
+function savePortrait(portrait) {
+  return portraitStoreRequest('readwrite', store => store.put(portrait));
+}
+
+/**
+ * Loads one portrait by id. Resolves with undefined if it does not exist.
+ */
+function loadPortrait(id) {
+  return portraitStoreRequest('readonly', store => store.get(id));
+}
+
+/**
+ * Loads every saved portrait, oldest first. The creator's draft is left out.
+ */
+async function loadAllPortraits() {
+  let portraits = await portraitStoreRequest('readonly', store => store.getAll());
+  return portraits.filter(p => isCustomPortraitId(p.id)).sort((a, b) => a.created - b.created);
+}
+
+/**
+ * Deletes a stored portrait.
+ */
+function deletePortrait(id) {
+  return portraitStoreRequest('readwrite', store => store.delete(id));
+}
+
+/**
+ * Returns true if the id belongs to a portrait made with the creator rather than one
+ * listed in portraits.json.
+ */
+function isCustomPortraitId(id) {
+  return typeof id === 'string' && id.startsWith('custom-');
+}
+
+/**
+ * Downloads a portrait as a self-contained bundle file that can be imported on another machine.
+ */
+function exportPortraitBundle(portrait) {
+  let bundle = { format: PORTRAIT_BUNDLE_FORMAT, version: 1, portrait: portrait };
+  let blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+  let link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = portrait.id + '.eyes.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Reads a bundle file made by exportPortraitBundle() and saves the portrait it contains.
+ * @param {File} file
+ * @returns {Promise<Object>} The imported portrait.
+ */
+async function importPortraitBundle(file) {
+  let bundle = JSON.parse(await file.text());
+  if (!bundle || bundle.format !== PORTRAIT_BUNDLE_FORMAT || !bundle.portrait) {
+    throw new Error(file.name + ' is not a portrait bundle');
+  }
+  let portrait = bundle.portrait;
+  if (!isCustomPortraitId(portrait.id) || !portrait.face || !Array.isArray(portrait.sockets) || typeof portrait.button !== 'string') {
+    throw new Error(file.name + ' contains an incomplete portrait');
+  }
+  await savePortrait(portrait);
+  return portrait;
+}
+
+/**
+ * Builds the portraits.json style entry used to show a stored portrait as a gallery button.
+ * @param {Object} portrait - A stored portrait.
+ * @param {number} slot - The layout slot for the button.
+ */
+function portraitButtonEntry(portrait, slot) {
+  return {
+    id: portrait.id,
+    name: portrait.name,
+    button: portrait.button,
+    page: 'trump-eyes.html?portrait=' + encodeURIComponent(portrait.id),
+    slot: slot
+  };
+}
@@ -0,0 +1,207 @@
+// Calibration between the camera and the room, for installations where the camera is not
+// looking from where the face is projected.
+// Positions are kept normalised: camera positions run 0-1 across the camera picture and room
+// positions run 0-1 across the projected canvas, going below 0 or above 1 beside and above/below it.
+// The user marks the same spots in both views and a homography (see homography.js) is fitted to them.
+
+const PROJECTION_STORAGE_KEY = 'eyes-on-you.projection';
+// The part of the room shown in the calibration view, in room coordinates
+const ROOM_VIEW_RANGE = { minX: -1, maxX: 2, minY: -0.5, maxY: 1.5 };
+
+/**
+ * Loads the stored camera-to-room mapping, or the plain mirror used before any calibration.
+ * @returns {{homography: number[], pairs: Object[]}}
+ */
+function loadProjectionMapping() {
+  try {
+    let stored = JSON.parse(localStorage.getItem(PROJECTION_STORAGE_KEY));
+    if (stored && Array.isArray(stored.homography) && stored.homography.length === 9) {
+      return stored;
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable projection calibration', error);
+  }
+  return { homography: mirrorHomography(), pairs: [] };
+}
+
+/**
+ * Stores a mapping. Without storage it only applies until the page is closed.
+ */
+function saveProjectionMapping(mapping) {
+  try {
+    localStorage.setItem(PROJECTION_STORAGE_KEY, JSON.stringify(mapping));
+  } catch (error) {
+    console.warn('Could not save the projection calibration', error);
+  }
+}
+
+function clearProjectionMapping() {
+  try {
+    localStorage.removeItem(PROJECTION_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not forget the projection calibration', error);
+  }
+}
+
+class ProjectionCalibration {
+  /**
+   * @param {function(Object)} onDone - Called with the new mapping when one is saved or reset.
+   */
+  constructor(onDone) {
+    this.onDone = onDone;
+    this.isOpen = false;
+  }
+
+  /**
+   * Starts calibrating, beginning from the reference points of the current mapping.
+   */
+  open(mapping) {
+    this.isOpen = true;
+    this.pairs = mapping.pairs.slice();
+    this.pending = null; // A camera point waiting for its room point
+    this.message = '';
+  }
+
+  close() {
+    this.isOpen = false;
+  }
+
+  // The two halves of the canvas: the camera picture on the left, the room on the right
+  cameraView(capture) {
+    let areaWidth = width / 2 - 40;
+    let s = min(areaWidth / capture.width, (height - 160) / capture.height);
+    return { x: 20, y: 100, w: capture.width * s, h: capture.height * s };
+  }
+
+  roomView() {
+    let areaWidth = width / 2 - 40;
+    let rangeWidth = ROOM_VIEW_RANGE.maxX - ROOM_VIEW_RANGE.minX;
+    let rangeHeight = ROOM_VIEW_RANGE.maxY - ROOM_VIEW_RANGE.minY;
+    let s = min(areaWidth / rangeWidth, (height - 160) / (rangeHeight * height / width));
+    return { x: width / 2 + 20, y: 100, w: rangeWidth * s, h: rangeHeight * height / width * s };
+  }
+
+  // Conversions between normalised coordinates and positions in the two views
+  roomToView(view, p) {
+    return {
+      x: view.x + (p.x - ROOM_VIEW_RANGE.minX) / (ROOM_VIEW_RANGE.maxX - ROOM_VIEW_RANGE.minX) * view.w,
+      y: view.y + (p.y - ROOM_VIEW_RANGE.minY) / (ROOM_VIEW_RANGE.maxY - ROOM_VIEW_RANGE.minY) * view.h
+    };
+  }
+
+  viewToRoom(view, x, y) {
+    return {
+      x: ROOM_VIEW_RANGE.minX + (x - view.x) / view.w * (ROOM_VIEW_RANGE.maxX - ROOM_VIEW_RANGE.minX),
+      y: ROOM_VIEW_RANGE.minY + (y - view.y) / view.h * (ROOM_VIEW_RANGE.maxY - ROOM_VIEW_RANGE.minY)
+    };
+  }
+
+  /**
+   * Draws both views, the reference points and, once there are enough, a live preview of the
+   * mapping for the mouse position over the camera picture.
+   */
+  draw(capture) {
+    background(30);
+    let cam = this.cameraView(capture);
+    let room = this.roomView();
+
+    push();
+    imageMode(CORNER);
+    image(capture, cam.x, cam.y, cam.w, cam.h);
+
+    // The room, with the projected canvas outlined
+    noFill();
+    stroke(90);
+    rect(room.x, room.y, room.w, room.h);
+    let screenTopLeft = this.roomToView(room, { x: 0, y: 0 });
+    let screenBottomRight = this.roomToView(room, { x: 1, y: 1 });
+    stroke(255);
+    rect(screenTopLeft.x, screenTopLeft.y, screenBottomRight.x - screenTopLeft.x, screenBottomRight.y - screenTopLeft.y);
+    noStroke();
+    fill(255);
+    textSize(12);
+    text('projected face', screenTopLeft.x + 6, screenTopLeft.y + 16);
+
+    // Reference points, numbered the same in both views
+    textSize(14);
+    this.pairs.forEach((pair, i) => {
+      let c = { x: cam.x + pair.from.x * cam.w, y: cam.y + pair.from.y * cam.h };
+      let r = this.roomToView(room, pair.to);
+      fill(255, 200, 0);
+      circle(c.x, c.y, 10);
+      circle(r.x, r.y, 10);
+      text(i + 1, c.x + 8, c.y - 8);
+      text(i + 1, r.x + 8, r.y - 8);
+    });
+    if (this.pending) {
+      fill(0, 220, 255);
+      circle(cam.x + this.pending.x * cam.w, cam.y + this.pending.y * cam.h, 12);
+    }
+
+    // Preview where the mouse position over the camera would be looked at
+    let homography = computeHomography(this.pairs);
+    if (homography && mouseX > cam.x && mouseX < cam.x + cam.w && mouseY > cam.y && mouseY < cam.y + cam.h) {
+      let mapped = applyHomography(homography, (mouseX - cam.x) / cam.w, (mouseY - cam.y) / cam.h);
+      let r = this.roomToView(room, mapped);
+      stroke(0, 220, 255);
+      line(r.x - 10, r.y, r.x + 10, r.y);
+      line(r.x, r.y - 10, r.x, r.y + 10);
+      noStroke();
+    }
+
+    fill(255);
+    textSize(16);
+    text('Camera calibration: click a spot in the camera picture, then the same spot in the room.\n' +
+      'Use at least 4 spots spread over the area people walk in. ' + this.pairs.length + ' spot(s) so far.\n' +
+      'Enter saves, Backspace removes the last spot, R resets to a plain mirror, Esc cancels.', 20, 24);
+    if (this.message) {
+      fill(255, 120, 120);
+      text(this.message, 20, height - 24);
+    }
+    pop();
+  }
+
+  mousePressed(capture) {
+    let cam = this.cameraView(capture);
+    let room = this.roomView();
+    if (mouseX > cam.x && mouseX < cam.x + cam.w && mouseY > cam.y && mouseY < cam.y + cam.h) {
+      this.pending = { x: (mouseX - cam.x) / cam.w, y: (mouseY - cam.y) / cam.h };
+    } else if (this.pending && mouseX > room.x && mouseX < room.x + room.w && mouseY > room.y && mouseY < room.y + room.h) {
+      this.pairs.push({ from: this.pending, to: this.viewToRoom(room, mouseX, mouseY) });
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Handles the calibration shortcuts.
+   * @returns {boolean} True if the key was used.
+   */
+  keyPressed() {
+    if (keyCode === ENTER) {
+      let homography = computeHomography(this.pairs);
+      if (!homography) {
+        this.message = 'Need at least 4 spots, not all in one line.';
+        return true;
+      }
+      let mapping = { homography: homography, pairs: this.pairs };
+      saveProjectionMapping(mapping);
+      this.onDone(mapping);
+      this.close();
+    } else if (keyCode === BACKSPACE) {
+      if (this.pending) {
+        this.pending = null;
+      } else {
+        this.pairs.pop();
+      }
+    } else if (keyCode === ESCAPE) {
+      this.close();
+    } else if (key === 'r' || key === 'R') {
+      clearProjectionMapping();
+      this.onDone({ homography: mirrorHomography(), pairs: [] });
+      this.close();
+    } else {
+      return false;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,189 @@
+// Replays a recorded session (.eyesrec, see session-recording.js) through the tracking sketch's
+// motion pipeline without a browser or camera, and prints where the eyes looked on every frame.
+//
+//   node replay-headless.js session.eyesrec                  CSV on stdout
+//   node replay-headless.js session.eyesrec --json           one JSON object per line
+//   node replay-headless.js session.eyesrec --compare expected.csv [--tolerance 0.5]
+//                                                            exits with 1 if any frame differs
+//
+// The browser scripts are loaded unchanged into one shared context, the way the page loads them,
+// so the replay runs exactly the same code. Random choices use a fixed seed so runs are repeatable.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const PIPELINE_SCRIPTS = [
+  'homography.js',
+  'background-model.js',
+  'lighting-calibration.js',
+  'blob-tracker.js',
+  'attention.js',
+  'motion-tracker.js',
+  'session-recording.js'
+];
+const USAGE = 'Usage: node replay-headless.js <session.eyesrec> [--json] [--compare expected.csv] [--tolerance 0.5]';
+const CSV_COLUMNS = ['frame', 'time', 'gazeX', 'gazeY', 'targetId', 'targetX', 'targetY', 'motionDetected', 'blobs'];
+
+/**
+ * Loads the pipeline scripts into a fresh context.
+ * @returns {{MotionTracker: Function, parseRecording: Function}} What the replay needs from them.
+ *   Classes declared by the scripts are not properties of the context, so they are looked up by name.
+ */
+function loadPipeline() {
+  let context = vm.createContext({ console, TextDecoder });
+  for (let script of PIPELINE_SCRIPTS) {
+    let file = path.join(__dirname, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+  return vm.runInContext('({ MotionTracker, parseRecording })', context);
+}
+
+/**
+ * A small seeded random number generator (mulberry32).
+ */
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Runs every frame of a recording through a new tracker.
+ * @param {string} file - Path of the .eyesrec file.
+ * @returns {Object[]} One row per frame, with the fields in CSV_COLUMNS.
+ */
+function replay(file) {
+  let pipeline = loadPipeline();
+  let bytes = new Uint8Array(zlib.gunzipSync(fs.readFileSync(file)));
+  let recording = pipeline.parseRecording(bytes);
+  let header = recording.header;
+
+  let options = Object.assign({}, header.settings, {
+    homography: header.homography,
+    viewWidth: header.viewWidth,
+    viewHeight: header.viewHeight,
+    random: seededRandom(1)
+  });
+  let tracker = new pipeline.MotionTracker(options);
+
+  return recording.frames.map((frame, i) => {
+    let result = tracker.process(frame.cells, frame.time);
+    return {
+      frame: i,
+      time: frame.time,
+      gazeX: round(result.gazeX),
+      gazeY: round(result.gazeY),
+      targetId: result.target ? result.target.id : '',
+      targetX: result.target ? round(result.target.x) : '',
+      targetY: result.target ? round(result.target.y) : '',
+      motionDetected: result.motionDetected ? 1 : 0,
+      blobs: result.blobs.length
+    };
+  });
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toCsv(rows) {
+  return [CSV_COLUMNS.join(',')].concat(rows.map(row => CSV_COLUMNS.map(c => row[c]).join(','))).join('\n') + '\n';
+}
+
+function parseCsv(text) {
+  let lines = text.trim().split('\n');
+  let columns = lines[0].split(',');
+  return lines.slice(1).map(line => {
+    let values = line.split(',');
+    let row = {};
+    columns.forEach((column, i) => {
+      row[column] = values[i];
+    });
+    return row;
+  });
+}
+
+/**
+ * Compares replayed rows with expected ones. Numbers may differ by up to `tolerance`.
+ * @returns {string[]} A description of every difference.
+ */
+function compareRows(actual, expected, tolerance) {
+  let differences = [];
+  if (actual.length !== expected.length) {
+    differences.push('expected ' + expected.length + ' frames, replayed ' + actual.length);
+  }
+  for (let i = 0; i < Math.min(actual.length, expected.length); i++) {
+    for (let column of CSV_COLUMNS) {
+      let a = String(actual[i][column]);
+      let e = String(expected[i][column]);
+      let bothNumbers = a !== '' && e !== '' && !isNaN(a) && !isNaN(e);
+      if (bothNumbers ? Math.abs(Number(a) - Number(e)) > tolerance : a !== e) {
+        differences.push('frame ' + i + ' ' + column + ': expected ' + e + ', got ' + a);
+      }
+    }
+  }
+  return differences;
+}
+
+/**
+ * Reads the command line.
+ * @returns {Object|null} { file, json, compare, tolerance }, or null if it is not usable.
+ */
+function parseArgs(args) {
+  let options = { file: null, json: false, compare: null, tolerance: 0.5 };
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--compare' || arg === '--tolerance') {
+      let value = args[++i];
+      if (value === undefined) {
+        return null;
+      }
+      if (arg === '--compare') {
+        options.compare = value;
+      } else {
+        options.tolerance = value.trim() === '' ? NaN : Number(value);
+      }
+    } else if (arg.startsWith('--') || options.file) {
+      return null;
+    } else {
+      options.file = arg;
+    }
+  }
+  let toleranceValid = Number.isFinite(options.tolerance) && options.tolerance >= 0;
+  return options.file && toleranceValid ? options : null;
+}
+
+function main(args) {
+  let options = parseArgs(args);
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  let rows = replay(options.file);
+  if (options.compare) {
+    let differences = compareRows(rows, parseCsv(fs.readFileSync(options.compare, 'utf8')), options.tolerance);
+    differences.slice(0, 20).forEach(difference => console.error(difference));
+    console.log(differences.length ? differences.length + ' difference(s)' : 'Replay matches ' + options.compare);
+    process.exit(differences.length ? 1 : 0);
+  }
+
+  if (options.json) {
+    rows.forEach(row => process.stdout.write(JSON.stringify(row) + '\n'));
+  } else {
+    process.stdout.write(toCsv(rows));
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { replay, compareRows, toCsv, loadPipeline, seededRandom };
@@ -0,0 +1,117 @@
+// In-site navigation between the gallery and the portraits.
+// Every portrait has its own address, #/portrait/<id>, so it can be linked to, reloaded and
+// reached with the browser's back and forward buttons. The portrait's tracking sketch
+// (trump-eyes.html) runs in a frame laid over the gallery, which pauses meanwhile.
+
+const PORTRAIT_ROUTE = /^#\/portrait\/([^/]+)$/;
+
+/**
+ * The page that shows a portrait: its tracking sketch, with the portrait chosen by id.
+ */
+function portraitPage(id) {
+  return 'trump-eyes.html?portrait=' + encodeURIComponent(id);
+}
+
+class Router {
+  /**
+   * @param {Object} handlers
+   * @param {function(string)} handlers.onPortrait - Called with a portrait id when one is navigated to.
+   * @param {function()} handlers.onGallery - Called when the gallery is navigated to.
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.portraitId = null; // The portrait being shown, or null in the gallery
+    this.cameFromGallery = false; // Whether the gallery is the previous history entry
+    window.addEventListener('hashchange', () => this.follow());
+  }
+
+  /**
+   * Shows whatever the current address points at. Call once the sketch is ready.
+   */
+  start() {
+    this.follow();
+  }
+
+  follow() {
+    let match = window.location.hash.match(PORTRAIT_ROUTE);
+    let id = match ? decodeURIComponent(match[1]) : null;
+    if (id === this.portraitId) {
+      return;
+    }
+    this.portraitId = id;
+    if (id) {
+      this.handlers.onPortrait(id);
+    } else {
+      this.cameFromGallery = false;
+      this.handlers.onGallery();
+    }
+  }
+
+  /**
+   * Navigates to a portrait, adding it to the history.
+   */
+  showPortrait(id) {
+    this.cameFromGallery = !this.portraitId;
+    window.location.hash = '#/portrait/' + encodeURIComponent(id);
+  }
+
+  /**
+   * Navigates back to the gallery: back through the history if that is where we came from,
+   * so the back button does not return to the portrait, or to a new history entry otherwise.
+   */
+  showGallery() {
+    if (this.cameFromGallery) {
+      history.back();
+    } else {
+      window.location.hash = '#/';
+    }
+  }
+}
+
+class PortraitView {
+  /**
+   * A frame over the whole window showing a portrait's page, with a way back to the gallery.
+   * @param {function()} onBack - Called when the back button is pressed.
+   */
+  constructor(onBack) {
+    this.element = createDiv().class('portrait-view');
+    this.backButton = createButton('← Gallery').class('portrait-back').parent(this.element);
+    this.backButton.mouseClicked(onBack);
+    this.frame = null;
+    this.hideTimer = null;
+  }
+
+  /**
+   * Loads a page into the frame and fades it in.
+   */
+  show(page) {
+    clearTimeout(this.hideTimer);
+    if (this.frame) {
+      this.frame.remove();
+    }
+    this.frame = createElement('iframe').parent(this.element);
+    this.frame.attribute('src', page);
+    // The portraits watch through the camera
+    this.frame.attribute('allow', 'camera; microphone; fullscreen');
+    this.element.addClass('is-open');
+    this.frame.elt.addEventListener('load', () => this.frame && this.frame.elt.focus());
+  }
+
+  /**
+   * Fades the frame out, then removes it so its camera is released.
+   */
+  hide() {
+    this.element.removeClass('is-open');
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => {
+      if (this.frame) {
+        this.frame.remove();
+        this.frame = null;
+      }
+    }, 400);
+  }
+
+  get isOpen() {
+    return this.element.hasClass('is-open');
+  }
+}
@@ -0,0 +1,196 @@
+// Several screens, one camera: for installations with portraits on more than one wall, one
+// tracking page watches the room and publishes where people are, and the others follow it, so
+// every face turns to the same visitor.
+// Positions are shared in room coordinates: every screen is placed on one common plane, in any
+// unit as long as all screens use the same one (e.g. centimetres along the wall), with the
+// roomX, roomY and roomWidth settings. The publisher turns its targets from its own canvas into
+// room coordinates, and each subscriber turns them into its own canvas, so a face looks far to
+// the side at someone standing in front of another screen.
+// Open the screen with the camera with ?sync=publish and the others with ?input=sync. Tabs and
+// windows on one machine hear each other through a BroadcastChannel; across machines add
+// &relay=ws://<host>:8765 on every screen and run the relay (node sync-relay.js) on that host.
+
+const SYNC_CHANNEL = 'eyes-on-you-sync';
+const SYNC_FORMAT = 'eyes-on-you-room';
+
+let syncInterval = 33; // Milliseconds between published messages
+let syncTimeout = 2000; // Milliseconds without messages before a subscriber gives up on the publisher
+let relayRetryDelay = 3000; // Milliseconds before reconnecting to a relay that went away
+
+/**
+ * Where a canvas sits in the room.
+ * @param {number} roomX - The canvas's top left corner, in room units.
+ * @param {number} roomY
+ * @param {number} roomWidth - The canvas's width in room units; its height follows its shape.
+ * @param {number} viewWidth - The canvas's width in pixels.
+ * @returns {{x: number, y: number, scale: number}} The corner, and room units per pixel.
+ */
+function screenPlacement(roomX, roomY, roomWidth, viewWidth) {
+  return { x: roomX, y: roomY, scale: roomWidth / viewWidth };
+}
+
+function viewToRoom(placement, x, y) {
+  return { x: placement.x + x * placement.scale, y: placement.y + y * placement.scale };
+}
+
+function roomToView(placement, x, y) {
+  return { x: (x - placement.x) / placement.scale, y: (y - placement.y) / placement.scale };
+}
+
+class SyncLink {
+  /**
+   * Connects to the other screens.
+   * @param {string} [relayUrl] - The address of a relay (sync-relay.js), for screens on other machines.
+   */
+  constructor(relayUrl) {
+    this.id = Math.random().toString(36).slice(2);
+    this.handlers = [];
+    this.channel = null;
+    this.socket = null;
+    this.relayUrl = relayUrl || null;
+    this.relayOpen = false;
+    if (window.BroadcastChannel) {
+      this.channel = new BroadcastChannel(SYNC_CHANNEL);
+      this.channel.onmessage = event => this.receive(event.data);
+    }
+    if (this.relayUrl) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    let socket;
+    try {
+      socket = new WebSocket(this.relayUrl);
+    } catch (error) {
+      console.warn('Ignoring relay ' + this.relayUrl + ', expected an address such as ws://<host>:8765', error);
+      return;
+    }
+    this.socket = socket;
+    socket.onopen = () => {
+      this.relayOpen = true;
+    };
+    socket.onmessage = event => {
+      try {
+        this.receive(JSON.parse(event.data));
+      } catch (error) {
+        console.warn('Ignoring an unreadable sync message', error);
+      }
+    };
+    socket.onclose = () => {
+      this.relayOpen = false;
+      setTimeout(() => this.connect(), relayRetryDelay);
+    };
+  }
+
+  /**
+   * Calls a function with every message from another screen.
+   */
+  onMessage(handler) {
+    this.handlers.push(handler);
+  }
+
+  receive(message) {
+    if (!message || message.format !== SYNC_FORMAT || message.from === this.id) {
+      return;
+    }
+    for (let handler of this.handlers) {
+      handler(message);
+    }
+  }
+
+  send(message) {
+    message = Object.assign({ format: SYNC_FORMAT, from: this.id }, message);
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+    if (this.relayOpen) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+class SyncPublisher {
+  /**
+   * @param {SyncLink} link
+   */
+  constructor(link) {
+    this.link = link;
+    this.lastSent = -Infinity;
+  }
+
+  /**
+   * Publishes the tracker's latest targets in room coordinates, at most every syncInterval.
+   * @param {Object} result - The tracker's latest result.
+   * @param {{x: number, y: number}} gaze - The tracker's smoothed gaze, in canvas coordinates.
+   * @param {Object} placement - This screen, from screenPlacement().
+   * @param {number} time - Current time in milliseconds.
+   */
+  update(result, gaze, placement, time) {
+    if (!result || time - this.lastSent < syncInterval) {
+      return;
+    }
+    this.lastSent = time;
+    let room = point => viewToRoom(placement, point.x, point.y);
+    let target = result.target;
+    this.link.send({
+      tracks: result.tracks.map(track => Object.assign({ id: track.id }, room(track))),
+      target: target ? Object.assign({ id: target.id, watchedFor: result.time - target.firstSeen }, room(target)) : null,
+      gaze: room(gaze),
+      motion: result.totalMotionPoints / (result.gridWidth * result.gridHeight),
+      scanning: result.scanning
+    });
+  }
+}
+
+/**
+ * An input source (see input-sources.js) that follows another screen's publisher.
+ */
+class SyncInput {
+  /**
+   * @param {SyncLink} link
+   * @param {function(): Object} placement - This screen, from screenPlacement(), asked for on
+   *   every frame so it follows the settings and the window size.
+   */
+  constructor(link, placement) {
+    this.name = 'sync';
+    this.placement = placement;
+    this.message = null; // The latest message
+    this.received = -Infinity; // When it came
+    this.time = 0;
+    link.onMessage(message => {
+      this.message = message;
+      this.received = millis();
+    });
+  }
+
+  /**
+   * Whether messages are coming in.
+   */
+  get isConnected() {
+    return this.time - this.received < syncTimeout;
+  }
+
+  update(tracker, time) {
+    this.time = time;
+  }
+
+  expressionInput() {
+    if (!this.isConnected) {
+      return { x: width / 2, y: height / 2, gazeX: width / 2, gazeY: height / 2, motion: 0, watchedFor: 0, scanning: true };
+    }
+    let placement = this.placement();
+    let message = this.message;
+    let gaze = roomToView(placement, message.gaze.x, message.gaze.y);
+    let target = message.target ? roomToView(placement, message.target.x, message.target.y) : gaze;
+    return {
+      x: target.x,
+      y: target.y,
+      gazeX: gaze.x,
+      gazeY: gaze.y,
+      motion: message.motion,
+      watchedFor: message.target ? message.target.watchedFor : 0,
+      scanning: message.scanning
+    };
+  }
+}
@@ -0,0 +1,165 @@
+// Recording and replaying camera sessions of the tracking sketch.
+// A recording keeps the motion grid samples of every frame (see MotionTracker.sampleFrame()),
+// already downsampled by the grid step, with their timestamps and the tracker's settings.
+//
+// File format (.eyesrec), gzip compressed:
+//   one line of JSON header, ending in '\n':
+//     { format, version, gridWidth, gridHeight, step, sourceWidth, sourceHeight,
+//       viewWidth, viewHeight, homography, settings, times: [ms since the start, ...] }
+//   then every frame's RGB grid samples (gridWidth * gridHeight * 3 bytes each), back to back.
+// parseRecording() only needs the uncompressed bytes, so replay-headless.js can use it in Node.
+
+const RECORDING_FORMAT = 'eyes-on-you-recording';
+
+/**
+ * Splits an uncompressed recording into its header and frames.
+ * @param {Uint8Array} bytes
+ * @returns {{header: Object, frames: Object[]}} Frames as { time, cells } where cells is in the
+ *   form returned by MotionTracker.sampleFrame().
+ */
+function parseRecording(bytes) {
+  let newline = bytes.indexOf(10);
+  if (newline < 0) {
+    throw new Error('Not a recording: no header');
+  }
+  let header = JSON.parse(new TextDecoder().decode(bytes.subarray(0, newline)));
+  if (header.format !== RECORDING_FORMAT) {
+    throw new Error('Not a recording: unknown format ' + header.format);
+  }
+
+  let frameSize = header.gridWidth * header.gridHeight * 3;
+  if (newline + 1 + header.times.length * frameSize > bytes.length) {
+    throw new Error('Recording is truncated');
+  }
+  let frames = header.times.map((time, i) => {
+    let start = newline + 1 + i * frameSize;
+    return {
+      time: time,
+      cells: {
+        data: new Uint8ClampedArray(bytes.buffer, bytes.byteOffset + start, frameSize),
+        width: header.gridWidth,
+        height: header.gridHeight,
+        step: header.step,
+        sourceWidth: header.sourceWidth,
+        sourceHeight: header.sourceHeight
+      }
+    };
+  });
+  return { header: header, frames: frames };
+}
+
+class SessionRecorder {
+  /**
+   * @param {number} [maxSeconds=60] - Recording stops by itself after this long.
+   */
+  constructor(maxSeconds = 60) {
+    this.maxSeconds = maxSeconds;
+    this.isRecording = false;
+  }
+
+  /**
+   * Starts a new recording.
+   * @param {MotionTracker} tracker - The tracker whose settings and view are stored with the frames.
+   * @param {number} time - Current time in milliseconds.
+   */
+  start(tracker, time) {
+    this.tracker = tracker;
+    this.startTime = time;
+    this.times = [];
+    this.chunks = [];
+    this.gridSize = null;
+    this.isRecording = true;
+  }
+
+  /**
+   * Adds a frame of grid samples. Frames with a different grid size (after a resize) end the recording.
+   * @returns {boolean} False once the recording has stopped.
+   */
+  addFrame(cells, time) {
+    if (!this.isRecording) {
+      return false;
+    }
+    if (!this.gridSize) {
+      this.gridSize = cells;
+    } else if (cells.width !== this.gridSize.width || cells.height !== this.gridSize.height) {
+      this.isRecording = false;
+      return false;
+    }
+    this.times.push(Math.round(time - this.startTime));
+    this.chunks.push(new Uint8Array(cells.data));
+    if (time - this.startTime >= this.maxSeconds * 1000) {
+      this.isRecording = false;
+    }
+    return this.isRecording;
+  }
+
+  /**
+   * Stops recording and compresses what was recorded.
+   * @returns {Promise<Blob|null>} The .eyesrec file, or null if no frames were recorded.
+   */
+  async finish() {
+    this.isRecording = false;
+    if (!this.gridSize) {
+      return null;
+    }
+    let header = {
+      format: RECORDING_FORMAT,
+      version: 1,
+      gridWidth: this.gridSize.width,
+      gridHeight: this.gridSize.height,
+      step: this.gridSize.step,
+      sourceWidth: this.gridSize.sourceWidth,
+      sourceHeight: this.gridSize.sourceHeight,
+      viewWidth: this.tracker.viewWidth,
+      viewHeight: this.tracker.viewHeight,
+      homography: this.tracker.homography,
+      settings: this.tracker.settings(),
+      times: this.times
+    };
+    let raw = new Blob([JSON.stringify(header) + '\n'].concat(this.chunks));
+    this.chunks = [];
+    return new Response(raw.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+  }
+}
+
+/**
+ * Reads a .eyesrec file in the browser.
+ * @param {Blob} file
+ * @returns {Promise<{header: Object, frames: Object[]}>}
+ */
+async function readRecordingFile(file) {
+  let stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+  let bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  return parseRecording(bytes);
+}
+
+class ReplaySource {
+  /**
+   * Plays back a recording in real time, handing out each recorded frame exactly once.
+   * @param {{header: Object, frames: Object[]}} recording - From readRecordingFile().
+   * @param {number} time - Current time in milliseconds, taken as the start of playback.
+   */
+  constructor(recording, time) {
+    this.recording = recording;
+    this.startTime = time;
+    this.next = 0; // Index of the next frame to hand out
+    this.isPlaying = recording.frames.length > 0;
+  }
+
+  /**
+   * Returns the frames that have become due since the last call, with their recorded times.
+   * @param {number} time - Current time in milliseconds.
+   */
+  dueFrames(time) {
+    let frames = this.recording.frames;
+    let due = [];
+    while (this.isPlaying && frames[this.next].time <= time - this.startTime) {
+      due.push(frames[this.next]);
+      this.next++;
+      if (this.next === frames.length) {
+        this.isPlaying = false;
+      }
+    }
+    return due;
+  }
+}
@@ -0,0 +1,304 @@
+// A panel for tuning a sketch while it runs, so a venue can be set up without editing code.
+// Each sketch lists its settings; the panel shows a slider (or a list) for each one and
+// changes the sketch's variable as soon as it is moved.
+// The values in use are remembered in local storage, and can be saved as named presets,
+// exported to a JSON file and imported on another machine. Any setting can also be given in
+// the page URL, e.g. ?smoothing=0.1&threshold=30, and ?preset=<name> loads a saved preset,
+// which is handy for kiosk launches. URL values win over the preset, which wins over the
+// remembered values.
+
+const SETTINGS_STORAGE_PREFIX = 'eyes-on-you.settings.';
+const SETTINGS_FILE_FORMAT = 'eyes-on-you-settings';
+
+/**
+ * Loads a sketch's remembered values and presets.
+ * @param {string} sketchName - Keeps the settings of different sketches apart.
+ * @returns {{current: Object, presets: Object}}
+ */
+function loadSettingsStore(sketchName) {
+  try {
+    let stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_PREFIX + sketchName));
+    if (stored && typeof stored === 'object') {
+      return { current: stored.current || {}, presets: stored.presets || {} };
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable settings', error);
+  }
+  return { current: {}, presets: {} };
+}
+
+function saveSettingsStore(sketchName, store) {
+  localStorage.setItem(SETTINGS_STORAGE_PREFIX + sketchName, JSON.stringify(store));
+}
+
+/**
+ * Turns a value from the URL, a file or storage into a valid value for a setting.
+ * @returns The value, or undefined if it is not usable.
+ */
+function settingValue(setting, value) {
+  if (setting.options) {
+    return setting.options.includes(value) ? value : undefined;
+  }
+  let number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number)) {
+    return undefined;
+  }
+  return Math.min(setting.max, Math.max(setting.min, number));
+}
+
+class SettingsPanel {
+  /**
+   * Applies the remembered values, the preset and the URL parameters straight away, without
+   * calling onChange, so create the panel before anything that reads the settings.
+   * @param {string} sketchName - Name the values and presets are stored under.
+   * @param {Object[]} settings - One per variable: { key, label, get, set } with either
+   *   min, max and step for a number, or `options`, a list of allowed values.
+   * @param {function(string)} onChange - Called with a setting's key after the panel changed it.
+   */
+  constructor(sketchName, settings, onChange) {
+    this.sketchName = sketchName;
+    this.settings = settings;
+    this.onChange = onChange;
+    this.defaults = this.values();
+    this.store = loadSettingsStore(sketchName);
+    this.panel = null;
+    this.message = '';
+
+    let params = new URLSearchParams(window.location.search);
+    let preset = this.store.presets[params.get('preset')];
+    let fromUrl = {};
+    for (let setting of settings) {
+      if (params.has(setting.key)) {
+        fromUrl[setting.key] = params.get(setting.key);
+      }
+    }
+    for (let values of [this.store.current, preset || {}, fromUrl]) {
+      this.apply(values, false);
+    }
+  }
+
+  get isOpen() {
+    return this.panel !== null;
+  }
+
+  /**
+   * The current value of every setting, by key.
+   */
+  values() {
+    let values = {};
+    for (let setting of this.settings) {
+      values[setting.key] = setting.get();
+    }
+    return values;
+  }
+
+  /**
+   * Sets any number of settings; unknown keys and unusable values are ignored.
+   * @param {Object} values - Values by key.
+   * @param {boolean} [notify=true] - Whether to call onChange for each one.
+   */
+  apply(values, notify = true) {
+    for (let setting of this.settings) {
+      let value = settingValue(setting, values[setting.key]);
+      if (value !== undefined && value !== setting.get()) {
+        setting.set(value);
+        if (notify) {
+          this.onChange(setting.key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Remembers the values in use, so they are back next time the page is opened. Without storage
+   * (private browsing, or storage full) they last until the page is closed.
+   */
+  remember() {
+    this.store.current = this.values();
+    try {
+      saveSettingsStore(this.sketchName, this.store);
+    } catch (error) {
+      console.warn('Could not save the settings', error);
+    }
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.panel.remove();
+      this.panel = null;
+    } else {
+      this.build();
+    }
+  }
+
+  /**
+   * Whether the keyboard is in the panel, so the sketch's shortcuts should leave it alone.
+   */
+  hasFocus() {
+    return this.isOpen && this.panel.elt.contains(document.activeElement);
+  }
+
+  // --- Panel ---
+
+  build() {
+    if (this.panel) {
+      this.panel.remove();
+    }
+    this.panel = createDiv().class('settings-panel');
+    createElement('h2', 'Settings').parent(this.panel);
+    for (let setting of this.settings) {
+      this.addControl(setting);
+    }
+
+    createElement('h3', 'Presets').parent(this.panel);
+    let names = Object.keys(this.store.presets).sort();
+    let presetSelect = createSelect().parent(this.panel);
+    presetSelect.option('Choose a preset…', '');
+    for (let name of names) {
+      presetSelect.option(name, name);
+    }
+    presetSelect.changed(() => {
+      if (presetSelect.value()) {
+        this.apply(this.store.presets[presetSelect.value()]);
+        this.remember();
+        this.build();
+      }
+    });
+    let nameInput = createInput('').attribute('placeholder', 'Preset name').parent(this.panel);
+    this.addButton('Save preset', () => {
+      let name = nameInput.value().trim();
+      if (!name) {
+        this.showMessage('Give the preset a name first.');
+        return;
+      }
+      this.store.presets[name] = this.values();
+      this.remember();
+      this.showMessage('Saved "' + name + '".');
+    });
+    this.addButton('Delete preset', () => {
+      let name = presetSelect.value();
+      if (name) {
+        delete this.store.presets[name];
+        this.remember();
+        this.showMessage('Deleted "' + name + '".');
+      }
+    });
+    this.addButton('Reset to defaults', () => {
+      this.apply(this.defaults);
+      this.remember();
+      this.build();
+    });
+
+    createElement('h3', 'Share').parent(this.panel);
+    this.addButton('Export JSON', () => this.exportFile());
+    createFileInput(file => this.importFile(file.file)).attribute('accept', '.json,application/json').parent(this.panel);
+    this.addButton('Link with these settings', () => {
+      let link = this.link();
+      createInput(link).attribute('readonly', '').parent(this.panel).elt.select();
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(link).catch(() => {});
+      }
+    });
+
+    if (this.message) {
+      createP(this.message).class('settings-message').parent(this.panel);
+      this.message = '';
+    }
+  }
+
+  addControl(setting) {
+    let row = createDiv().class('settings-row').parent(this.panel);
+    createSpan(setting.label).parent(row);
+    if (setting.options) {
+      let select = createSelect().parent(row);
+      for (let option of setting.options) {
+        select.option(option);
+      }
+      select.selected(setting.get());
+      select.changed(() => this.changeSetting(setting, select.value()));
+      return;
+    }
+    let number = createInput(String(setting.get()), 'number').parent(row);
+    number.attribute('step', setting.step);
+    let slider = createSlider(setting.min, setting.max, setting.get(), setting.step).parent(this.panel);
+    slider.input(() => {
+      this.changeSetting(setting, slider.value());
+      number.value(setting.get());
+    });
+    number.changed(() => {
+      this.changeSetting(setting, number.value());
+      number.value(setting.get());
+      slider.value(setting.get());
+    });
+  }
+
+  changeSetting(setting, value) {
+    this.apply({ [setting.key]: value });
+    this.remember();
+  }
+
+  addButton(label, action) {
+    return createButton(label).parent(this.panel).mouseClicked(action);
+  }
+
+  showMessage(message) {
+    this.message = message;
+    this.build();
+  }
+
+  // --- Files and links ---
+
+  exportFile() {
+    let file = { format: SETTINGS_FILE_FORMAT, version: 1, sketch: this.sketchName, current: this.values(), presets: this.store.presets };
+    let blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = this.sketchName + '-settings.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Reads a file made by exportFile(): its presets are added and its values applied.
+   * @param {File} file
+   */
+  importFile(file) {
+    file.text()
+      .then(text => {
+        let imported = JSON.parse(text);
+        if (!imported || imported.format !== SETTINGS_FILE_FORMAT) {
+          throw new Error(file.name + ' is not a settings file');
+        }
+        if (imported.sketch !== this.sketchName) {
+          throw new Error(file.name + ' holds settings for ' + imported.sketch);
+        }
+        Object.assign(this.store.presets, imported.presets);
+        this.apply(imported.current || {});
+        this.remember();
+        this.showMessage('Imported ' + file.name + '.');
+      })
+      .catch(error => {
+        console.warn('Could not import settings', error);
+        this.showMessage(error.message);
+      });
+  }
+
+  /**
+   * The address of this page with every setting that differs from its default in the URL.
+   */
+  link() {
+    let params = new URLSearchParams(window.location.search);
+    params.delete('preset');
+    let values = this.values();
+    for (let setting of this.settings) {
+      if (values[setting.key] !== this.defaults[setting.key]) {
+        params.set(setting.key, values[setting.key]);
+      } else {
+        params.delete(setting.key);
+      }
+    }
+    let query = params.toString();
+    let page = window.location.href.replace(/[?#].*$/, '');
+    return page + (query ? '?' + query : '') + window.location.hash;
+  }
+}
@@ -2,40 +2,117 @@ let infoImage; // The base info image (INFO1.png)
 let infoImageHover; // The hover info image (INFO2.png)
 let addImage; // The base add image (add.png)
 let addImageHover; // The hover add image (add-eyes.png)
-let googlyEyeball; // The moving googly eyeball image
-let googlyEye; // The static googly eye image
-let maggieButton; // The Maggie button image
-let OJButton; // The OJ button image
-let trumpButton; // The Trump button image
-
-
-let numImages = 250; // Number of googly eye pairs
-let maxDistance = 20; // Maximum movement distance for the eyeball
-let imageScale = 0.3; // Smaller scale for the googly eyes
-let maggieScale = 0.19; // Scale for the Maggie image
-let OJScale = 0.19; // Scale for the OJ image
-let trumpScale = 0.19; // Scale for the Trump button
-let infoImageScale = 0.2; // Scale for the info image (adjust as needed)
-let addImageScale = 0.2; // NEW: Scale for the add image (adjust as needed)
+let portraitButtons = []; // One PortraitButton per entry in portraits.json
+let portraitSlotCount = 0; // Number of layout slots used by the portrait buttons
+let portraitManifest; // The parsed portraits.json
+let portraitCreator; // The "add eyes" creation flow (portrait-creator.js)
+
+// Each portrait opens inside the site at #/portrait/<id> (see router.js). The tapped button zooms
+// up to fill the window, then the portrait fades in over the gallery, which pauses meanwhile.
+let router; // Follows the address, and the back and forward buttons
+let portraitView; // The frame the open portrait is shown in
+let opening = null; // The button zooming open, { button, start, routed }
+let openDuration = 450; // Milliseconds the zoom takes
+
+// Camera mode: the googly eyes follow whoever the camera sees (see motion-tracker.js) and go back
+// to the mouse when nobody is there. Press V or open the page with ?camera to turn it on.
+let cameraCapture = null; // The video capture, open while camera mode is on and the gallery is shown
+let cameraWidth = 320; // The capture is small: the gallery only needs rough positions
+let cameraHeight = 240;
+let tracker; // The motion tracker, created with the capture
+let cameraMode = false; // Whether the camera is being watched
+let watchingSomeone = false; // Whether the tracker is following someone, between targetacquired and targetlost
+
+
+let eyeField; // The googly eyes (see eye-field.js)
+
+// How the eyes look (see asset-packs.js): the first pack in portraits.json unless another one is
+// chosen for the whole gallery with Y or ?pack=<id>. Portraits follow the choice too.
+let packs; // The asset packs listed in portraits.json
+let defaultPack; // The first pack, which also stands in for other packs' missing images
+let packChoices; // The packs chosen in this browser, for the gallery and for each portrait
+let packNotice = null; // { text, until }: the name of the pack just chosen, shown for a moment
+
+let eyeCount = 0; // Roughly how many eyes to show; 0 sizes them by the layout instead
+let eyeScale = 1; // Size of the eyes compared to the layout's, when they are sized by the layout
+let maxDistance = 67; // Maximum movement distance for the eyeball, in pixels of googly-eye.png
+let infoImageScale = 0.2; // Scale for the info image, set by the layout
+let addImageScale = 0.2; // NEW: Scale for the add image, set by the layout
 let infoHoverScaleFactor = 3; // NEW: Factor to make info2.png bigger when hovered (e.g., 1.2 for 20% bigger)
 let addHoverScaleFactor = 2; // NEW: Factor to make add-eyes.png bigger when hovered
 
+// Googly physics: instead of looking at the pointer, each pupil rolls loosely inside its eye
+// (see googly-physics.js). Gravity follows the tilt of a phone, shaking the phone or swiping
+// across the field flings the pupils about. Press G or open the page with ?googly to turn it on.
+let googlyMode = false; // Whether the pupils are loose
+let rimDistance = 127; // Pixels (in googly-eye.png) from the eye's centre to the pupil's centre when it touches the rim
+let gravityStrength = 1400; // Pull of gravity on the pupils, in pixels per second squared
+let swipeForce = 8; // How strongly the pointer's speed pushes nearby pupils
+let swipeReach = 220; // Pixels from the pointer within which pupils are pushed
+let shakeStrength = 90; // Pixels per second squared per m/s² of phone acceleration
+let gravityDirection = { x: 0, y: 1 }; // Which way is down on the screen, from the phone's tilt
+let deviceAcceleration = { x: 0, y: 0 }; // The phone's acceleration on the screen, in m/s²
+let previousGaze = null; // The tracked person's position last frame, to measure how fast they move
+let motionPermissionAsked = false; // iOS asks for permission before sharing the phone's motion
+
+// Live tuning (see settings-panel.js). Press T to open the panel; any setting can also be given
+// in the URL, e.g. ?eyes=2000&maxDistance=40.
+let settingsPanel;
+
+// Sound (see sound-effects.js): eyes squeak when hovered, buttons boing when pressed and the hum
+// follows the camera's motion. Press Q or open the page with ?sound=on to turn it on.
+let sounds;
+let eyesUnderPointers = new Map(); // The eye under each pointer last frame, by pointer id
+
+// Photos, GIFs and videos of the gallery (see canvas-capture.js). Press E or open the page with
+// ?capture for the capture buttons.
+let capturer;
+
+let showFrameRate = false; // Whether the frame rate is shown, toggled with F or ?fps
+let frameTime = 0; // Milliseconds per frame, smoothed
+let isMouseOverInfo = false; // State to track if a pointer is over infoImage (a mouse hovering, or a finger holding)
+let isMouseOverAdd = false; // NEW: State to track if a pointer is over addImage
+let infoPinned = false; // Whether the info preview stays open after a tap, for touch screens
+
+// Mouse, pen and touch input, with taps and press-and-hold (see pointer-tracker.js).
+// Each eye looks at the nearest pointer, so several people can play on a touch table at once.
+let pointers;
+
+// Where everything goes, from phones to projectors (see layout.js). Lengths are in vmin, a
+// hundredth of the canvas's shorter side, unless they name another unit. `eyes` sets the average
+// width of a googly eye; the info and add images and the portrait buttons are given by their widths.
+const GALLERY_LAYOUT = {
+  breakpoints: { phone: 0, tablet: 600, desktop: 1100, projector: 2200 },
+  phone: {
+    info: { anchor: [0, 1], offset: [16, -14], width: 30 },
+    add: { anchor: [1, 1], offset: [-16, -14], width: 30 },
+    buttons: { anchor: [0.5, 0.42], width: '88vw', spacing: '14vh' },
+    eyes: { width: 22 }
+  },
+  tablet: {
+    info: { anchor: [0, 1], offset: [16, -14], width: 26 },
+    add: { anchor: [1, 0], offset: [-16, 14], width: 26 },
+    buttons: { anchor: [0.5, 0.5], width: 56, spacing: 22 },
+    eyes: { width: 22 }
+  },
+  desktop: {
+    info: { anchor: [0.2, 0.55], width: 26 },
+    add: { anchor: [0.79, 0.3], width: 26 },
+    buttons: { anchor: [0.5, 0.5], width: 54, spacing: 20 },
+    eyes: { width: 22 }
+  },
+  projector: {
+    info: { anchor: [0.16, 0.55], width: 24 },
+    add: { anchor: [0.84, 0.3], width: 24 },
+    buttons: { anchor: [0.5, 0.5], width: 60, spacing: 22 },
+    eyes: { width: 18 }
+  }
+};
 
-// Define spacing between buttons
-let buttonSpacing = 200; // Adjust this value to increase or decrease spacing
-
-let eyes = []; // Array to store the data for each eye pair
-let isMouseOverOJ = false;
-let isMouseOverTrump = false;
-let isMouseOverMaggie = false;
-let isMouseOverInfo = false; // State to track if mouse is over infoImage
-let isMouseOverAdd = false; // NEW: State to track if mouse is over addImage
-let scaleFactor = 0.1; // The amount the image should scale when hovered
-
-// Global variables for info image static position
+// Positions of the info and add images and the portrait button column, set by the layout
 let infoX, infoY;
-// NEW: Global variables for add image static position
 let addX, addY;
+let buttonColumn;
 
 function preload() {
   // Load all necessary images
@@ -43,224 +120,617 @@ function preload() {
   infoImageHover = loadImage('info2.png'); // Load the hover image
   addImage = loadImage('add.png'); // NEW: Load the base add image
   addImageHover = loadImage('add-eyes.png'); // NEW: Load the hover add image
-  googlyEyeball = loadImage('googly-eyeball.png');
-  googlyEye = loadImage('googly-eye.png');
-  maggieButton = loadImage('maggie-button2.png'); // Load Maggie button image
-  OJButton = loadImage('OJ-button2.png'); // Load OJ button image
-  trumpButton = loadImage('trump-button2.png'); // Load Trump button image
+  // Load the portrait manifest; each button loads its own images
+  portraitManifest = loadJSON('portraits.json', manifest => {
+    portraitButtons = createPortraitButtons(manifest);
+    packs = new AssetPacks(manifest.packs);
+    defaultPack = packs.load(packs.ids[0]);
+    packChoices = loadPackChoices();
+    let requested = new URLSearchParams(window.location.search).get('pack');
+    if (requested && packs.has(requested)) {
+      packChoices.gallery = requested;
+      savePackChoices(packChoices);
+    }
+    if (packChoices.gallery && packs.has(packChoices.gallery)) {
+      packs.load(packChoices.gallery);
+    }
+  });
 }
 
 function setup() {
-  createCanvas(windowWidth, windowHeight);
+  let canvas = createCanvas(windowWidth, windowHeight);
+  pointers = new PointerTracker(canvas.elt, { onTap: pointerTapped });
   imageMode(CENTER); // All images will be drawn with their center at the given coordinates
   background(255); // Set initial background to white
 
-  // Initialize positions for all googly eyes
-  for (let i = 0; i < numImages; i++) {
-    let x = random(width);
-    let y = random(height);
-    eyes.push({
-      staticX: x,
-      staticY: y,
-      moveX: 0,
-      moveY: 0
-    });
+  let params = new URLSearchParams(window.location.search);
+  settingsPanel = new SettingsPanel('gallery', gallerySettings(), settingChanged);
+  showFrameRate = params.has('fps');
+  sounds = new SoundEffects();
+  capturer = new CanvasCapture(() => 'gallery', () => cameraMode ? cameraCapture : null);
+  eyeField = new EyeField(galleryPack(), defaultPack, rimDistance);
+  layoutGallery();
+
+  // The column of portrait buttons is centred on the highest slot in use
+  for (let button of portraitButtons) {
+    portraitSlotCount = max(portraitSlotCount, button.slot + 1);
   }
 
-  // Set static position for infoImage (INFO1.png)
-  // Its center will be at (350, 550)
-  infoX = 350;
-  infoY = 550;
+  // Portraits made with the creator are kept locally and shown after the built-in ones
+  portraitCreator = new PortraitCreator(portraitManifest.pupils, addCustomPortraitButton);
+  loadAllPortraits()
+    .then(portraits => portraits.forEach(addCustomPortraitButton))
+    .catch(error => console.warn('Could not load saved portraits', error));
 
-  // NEW: Set static position for addImage (add.png)
-  // You can adjust these coordinates as needed
-  addX = 1370; // Example position, adjust as desired
-  addY = 300; // Example position, adjust as desired
+  portraitView = new PortraitView(() => router.showGallery());
+  router = new Router({ onPortrait: showPortrait, onGallery: showGallery });
+  router.start();
 
   // Change cursor to a pointer when it's over interactive elements
   cursor(HAND);
+
+  if (params.has('camera')) {
+    setCameraMode(true);
+  }
+  googlyMode = params.has('googly');
+  window.addEventListener('deviceorientation', deviceTilted);
+  window.addEventListener('devicemotion', deviceShaken);
 }
 
-function draw() {
-  background(255); // Clear the background each frame
-
-  // Draw all the googly eyes
-  for (let i = 0; i < eyes.length; i++) {
-    let eye = eyes[i];
-    // Draw the static outer part of the googly eye
-    image(googlyEye, eye.staticX, eye.staticY, googlyEye.width * imageScale, googlyEye.height * imageScale);
-
-    // Calculate distance and direction from mouse to the eye
-    let dx = mouseX - eye.staticX;
-    let dy = mouseY - eye.staticY;
-    let distance = sqrt(dx * dx + dy * dy); // Euclidean distance
-
-    let moveX = dx;
-    let moveY = dy;
-
-    // Limit the eyeball movement to maxDistance
-    if (distance > maxDistance) {
-      let angle = atan2(dy, dx); // Angle from eye to mouse
-      moveX = cos(angle) * maxDistance; // Constrain X movement
-      moveY = sin(angle) * maxDistance; // Constrain Y movement
+/**
+ * Sizes and places the info and add images, the portrait buttons and the googly eyes for the
+ * current canvas size (see GALLERY_LAYOUT).
+ * @param {boolean} [repackEyes=false] - Whether to pack the eyes afresh even if their size barely changed.
+ */
+function layoutGallery(repackEyes = false) {
+  let place = resolveLayout(GALLERY_LAYOUT, width, height);
+  infoX = place.info.x;
+  infoY = place.info.y;
+  infoImageScale = place.info.width / infoImage.width;
+  addX = place.add.x;
+  addY = place.add.y;
+  addImageScale = place.add.width / addImage.width;
+  buttonColumn = place.buttons;
+  // Poisson-disc packing fills about 56% of the canvas with eye, whatever the eye size
+  let eyeWidth = eyeCount ? sqrt(1.2 * width * height / eyeCount) : place.eyes.width * eyeScale;
+  eyeField.fill(eyeWidth, repackEyes);
+}
+
+/**
+ * The variables shown in the settings panel.
+ */
+function gallerySettings() {
+  return [
+    { key: 'eyes', label: 'Eyes (0 = by screen size)', min: 0, max: 5000, step: 50, get: () => eyeCount, set: v => { eyeCount = v; } },
+    { key: 'eyeScale', label: 'Eye size', min: 0.3, max: 3, step: 0.05, get: () => eyeScale, set: v => { eyeScale = v; } },
+    { key: 'maxDistance', label: 'Pupil travel', min: 0, max: 150, step: 1, get: () => maxDistance, set: v => { maxDistance = v; } },
+    { key: 'gravityStrength', label: 'Googly gravity', min: 0, max: 4000, step: 50, get: () => gravityStrength, set: v => { gravityStrength = v; } },
+    { key: 'swipeForce', label: 'Googly swipe force', min: 0, max: 30, step: 0.5, get: () => swipeForce, set: v => { swipeForce = v; } },
+    { key: 'shakeStrength', label: 'Googly shake', min: 0, max: 300, step: 5, get: () => shakeStrength, set: v => { shakeStrength = v; } }
+  ].concat(soundSettings(), captureSettings());
+}
+
+/**
+ * Refills the eyes when their number or size changes in the settings panel, and sets the volume.
+ */
+function settingChanged(key) {
+  if (key === 'eyes' || key === 'eyeScale') {
+    layoutGallery(true);
+  } else if (key === 'sound' || key === 'volume') {
+    sounds.applyVolume();
+  }
+}
+
+/**
+ * Points gravity the way the phone is tilted, taking the screen's rotation into account.
+ */
+function deviceTilted(event) {
+  if (event.beta === null || event.gamma === null) {
+    return;
+  }
+  let x = sin(radians(event.gamma)); // Tilt left and right
+  let y = sin(radians(event.beta)); // Tilt towards and away from you
+  let angle = screenAngle();
+  gravityDirection = {
+    x: x * cos(angle) + y * sin(angle),
+    y: -x * sin(angle) + y * cos(angle)
+  };
+}
+
+/**
+ * Records how the phone is accelerating, without gravity, in screen directions.
+ */
+function deviceShaken(event) {
+  let a = event.acceleration;
+  if (!a || a.x === null) {
+    return;
+  }
+  // The device's y axis points up the screen, the canvas's down
+  let angle = screenAngle();
+  deviceAcceleration = {
+    x: a.x * cos(angle) - a.y * sin(angle),
+    y: -(a.x * sin(angle) + a.y * cos(angle))
+  };
+}
+
+/**
+ * How far the screen is rotated from portrait, in radians.
+ */
+function screenAngle() {
+  let degrees = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+  return radians(degrees);
+}
+
+/**
+ * iOS only shares the phone's motion after the user agrees, which must be asked from a tap.
+ */
+function askForMotionPermission() {
+  if (motionPermissionAsked) {
+    return;
+  }
+  motionPermissionAsked = true;
+  for (let source of [window.DeviceOrientationEvent, window.DeviceMotionEvent]) {
+    if (source && typeof source.requestPermission === 'function') {
+      source.requestPermission().catch(error => console.warn('No access to the phone\'s motion', error));
     }
-    eye.moveX = moveX;
-    eye.moveY = moveY;
+  }
+}
 
-    // Draw the moving eyeball part
-    image(googlyEyeball, eye.staticX + eye.moveX, eye.staticY + eye.moveY, googlyEyeball.width * imageScale, googlyEyeball.height * imageScale);
+/**
+ * Moves every loose pupil on by one frame.
+ * @param {Object[]} looks - The look points, whose movement pushes the pupils near them.
+ */
+function updateGooglyPupils(looks) {
+  let dt = min(deltaTime / 1000, 0.25);
+  let forces = {
+    gravityX: gravityDirection.x * gravityStrength,
+    gravityY: gravityDirection.y * gravityStrength,
+    frameX: deviceAcceleration.x * shakeStrength,
+    frameY: deviceAcceleration.y * shakeStrength,
+    pushX: 0,
+    pushY: 0
+  };
+  for (let eye of eyeField.eyes) {
+    forces.pushX = 0;
+    forces.pushY = 0;
+    for (let look of looks) {
+      let distance = dist(look.x, look.y, eye.staticX, eye.staticY);
+      let reach = max(0, 1 - distance / swipeReach);
+      forces.pushX += look.vx * swipeForce * reach * reach;
+      forces.pushY += look.vy * swipeForce * reach * reach;
+    }
+    eye.pupil.step(dt, forces);
+    eye.moveX = eye.pupil.x;
+    eye.moveY = eye.pupil.y;
   }
+}
 
-  // --- Button Drawing and Hover Logic ---
+/**
+ * Turns camera mode on or off, opening or closing the camera. The tracker is created the first time.
+ */
+function setCameraMode(on) {
+  cameraMode = on;
+  if (on && !tracker) {
+    tracker = new MotionTracker({ viewWidth: width, viewHeight: height });
+    tracker.on('targetacquired', () => {
+      watchingSomeone = true;
+    });
+    tracker.on('targetlost', () => {
+      watchingSomeone = false;
+    });
+  }
+  if (on) {
+    openCamera();
+  } else {
+    closeCamera();
+  }
+}
 
-  // Calculate properties (position and size) for Maggie button
-  let maggieWidth = maggieButton.width * maggieScale;
-  let maggieHeight = maggieButton.height * maggieScale;
-  let maggieX = width / 2;
-  let maggieY = height / 2 + buttonSpacing;
+/**
+ * Opens the camera, unless it is open already. A new capture's frames have nothing to do with
+ * the old ones, so the tracker starts over.
+ */
+function openCamera() {
+  if (cameraCapture) {
+    return;
+  }
+  let capture = createCapture(VIDEO, stream => {
+    // Closed again before the browser answered
+    if (capture !== cameraCapture) {
+      stream.getTracks().forEach(track => track.stop());
+    }
+  });
+  capture.size(cameraWidth, cameraHeight);
+  capture.hide();
+  cameraCapture = capture;
+  tracker.reset();
+  watchingSomeone = false;
+}
 
-  let maggieLeft = maggieX - maggieWidth / 2;
-  let maggieRight = maggieX + maggieWidth / 2;
-  let maggieTop = maggieY - maggieHeight / 2;
-  let maggieBottom = maggieY + maggieHeight / 2;
+/**
+ * Stops the camera, which turns its light off and lets a portrait open it: some cameras cannot
+ * be opened twice.
+ */
+function closeCamera() {
+  if (!cameraCapture) {
+    return;
+  }
+  let stream = cameraCapture.elt.srcObject;
+  if (stream) {
+    stream.getTracks().forEach(track => track.stop());
+  }
+  cameraCapture.remove();
+  cameraCapture = null;
+  tracker.reset();
+  watchingSomeone = false;
+}
 
-  // Calculate properties for OJ button
-  let ojButtonWidth = OJButton.width * OJScale;
-  let ojButtonHeight = OJButton.height * OJScale;
-  let ojButtonX = width / 2;
-  let ojButtonY = height / 2; // OJ button remains centered vertically
+/**
+ * The points the googly eyes look at, with their speeds in pixels per second: the tracked person
+ * in camera mode, otherwise every active pointer, or where the last one was.
+ */
+function lookPoints() {
+  if (watchingSomeone) {
+    let gaze = { x: tracker.gazeX, y: tracker.gazeY, vx: 0, vy: 0 };
+    if (previousGaze && deltaTime > 0) {
+      gaze.vx = (gaze.x - previousGaze.x) / (deltaTime / 1000);
+      gaze.vy = (gaze.y - previousGaze.y) / (deltaTime / 1000);
+    }
+    previousGaze = gaze;
+    return [gaze];
+  }
+  previousGaze = null;
+  let active = pointers.active();
+  if (active.length) {
+    return active;
+  }
+  let last = pointers.last || { x: width / 2, y: height / 2 };
+  return [{ x: last.x, y: last.y, vx: 0, vy: 0 }];
+}
 
-  let ojButtonLeft = ojButtonX - ojButtonWidth / 2;
-  let ojButtonRight = ojButtonX + ojButtonWidth / 2;
-  let ojButtonTop = ojButtonY - ojButtonHeight / 2;
-  let ojButtonBottom = ojButtonY + ojButtonHeight / 2;
+/**
+ * The look point nearest to (x, y).
+ */
+function nearestLook(looks, x, y) {
+  let nearest = looks[0];
+  if (looks.length === 1) {
+    return nearest;
+  }
+  for (let look of looks) {
+    if (dist(x, y, look.x, look.y) < dist(x, y, nearest.x, nearest.y)) {
+      nearest = look;
+    }
+  }
+  return nearest;
+}
 
-  // Calculate properties for Trump button
-  let trumpWidth = trumpButton.width * trumpScale;
-  let trumpHeight = trumpButton.height * trumpScale;
-  let trumpX = width / 2;
-  let trumpY = height / 2 - buttonSpacing;
+/**
+ * Whether (px, py) lies on an image drawn centred at (cx, cy) at the given scale.
+ */
+function imageContains(img, cx, cy, scale, px, py) {
+  return abs(px - cx) < img.width * scale / 2 && abs(py - cy) < img.height * scale / 2;
+}
 
-  let trumpLeft = trumpX - trumpWidth / 2;
-  let trumpRight = trumpX + trumpWidth / 2;
-  let trumpTop = trumpY - trumpHeight / 2;
-  let trumpBottom = trumpY + trumpHeight / 2;
+function overInfo(px, py) {
+  return imageContains(infoImage, infoX, infoY, infoImageScale, px, py);
+}
 
-  // Reset all button hover states
-  isMouseOverOJ = false;
-  isMouseOverTrump = false;
-  isMouseOverMaggie = false;
+function overAdd(px, py) {
+  return imageContains(addImage, addX, addY, addImageScale, px, py);
+}
 
-  // Check for mouse hover over each button
-  if (mouseX > ojButtonLeft && mouseX < ojButtonRight && mouseY > ojButtonTop && mouseY < ojButtonBottom) {
-    isMouseOverOJ = true;
+/**
+ * A click or tap on the gallery: opens the creator or a portrait, or pins the info preview.
+ */
+function pointerTapped(pointer) {
+  if (googlyMode) {
+    askForMotionPermission();
+  }
+  if (portraitCreator.isOpen || opening) {
+    return;
+  }
+  if (overAdd(pointer.x, pointer.y)) {
+    sounds.boing();
+    portraitCreator.open();
+    return;
   }
-  if (mouseX > trumpLeft && mouseX < trumpRight && mouseY > trumpTop && mouseY < trumpBottom) {
-    isMouseOverTrump = true;
+  if (overInfo(pointer.x, pointer.y)) {
+    sounds.boing();
+    infoPinned = !infoPinned;
+    return;
   }
-  if (mouseX > maggieLeft && mouseX < maggieRight && mouseY > maggieTop && mouseY < maggieBottom) {
-    isMouseOverMaggie = true;
+  infoPinned = false;
+  let button = portraitButtons.find(b => b.contains(pointer.x, pointer.y));
+  if (button) {
+    sounds.boing();
+    opening = { button: button, start: millis() };
   }
+}
 
-  // Determine current scale for buttons based on hover state
-  let currentMaggieScale = maggieScale;
-  let currentOJScale = OJScale;
-  let currentTrumpScale = trumpScale;
+/**
+ * The pack the gallery's eyes are drawn with: the one chosen for the gallery once it has loaded,
+ * or the default one.
+ */
+function galleryPack() {
+  let chosen = packChoices.gallery && packs.has(packChoices.gallery) ? packs.load(packChoices.gallery) : null;
+  return chosen && chosen.ready ? chosen : defaultPack;
+}
 
-  if (isMouseOverMaggie) {
-    currentMaggieScale += scaleFactor;
+/**
+ * Switches the whole gallery, and the portraits without a pack of their own, to the next pack.
+ * Before the first pack comes the default: the first pack here and their own eyes in portraits.
+ */
+function nextGalleryPack() {
+  let choices = [null].concat(packs.ids);
+  let next = choices[(choices.indexOf(packChoices.gallery) + 1) % choices.length];
+  packChoices = loadPackChoices(); // Portraits may have chosen their own packs since
+  packChoices.gallery = next;
+  savePackChoices(packChoices);
+  if (!next) {
+    eyeField.setPack(defaultPack);
+    showPackNotice(defaultPack.name + ', portraits with their own eyes');
+    return;
   }
-  if (isMouseOverOJ) {
-    currentOJScale += scaleFactor;
+  packs.load(next, pack => {
+    // Only if no other pack was chosen while this one loaded
+    if (packChoices.gallery === next) {
+      eyeField.setPack(pack);
+      showPackNotice(pack.name);
+    }
+  });
+}
+
+function showPackNotice(name) {
+  packNotice = { text: 'Eyes: ' + name, until: millis() + 2000 };
+}
+
+/**
+ * Names the pack just chosen at the top of the canvas.
+ */
+function drawPackNotice() {
+  if (millis() > packNotice.until) {
+    packNotice = null;
+    return;
   }
-  if (isMouseOverTrump) {
-    currentTrumpScale += scaleFactor;
+  push();
+  textSize(16);
+  let w = textWidth(packNotice.text) + 30;
+  noStroke();
+  fill(0, 170);
+  rect(width / 2 - w / 2, 12, w, 34, 17);
+  fill(255);
+  textAlign(CENTER, CENTER);
+  text(packNotice.text, width / 2, 29);
+  pop();
+}
+
+/**
+ * Squeaks each eye a pointer moves onto: under a hovering mouse, or a finger or pen pressed down.
+ */
+function squeakHoveredEyes() {
+  let under = new Map();
+  for (let pointer of pointers.active()) {
+    if (pointer.type !== 'mouse' && !pointer.down) {
+      continue;
+    }
+    let eye = eyeField.eyeAt(pointer.x, pointer.y);
+    if (eye && eye !== eyesUnderPointers.get(pointer.id)) {
+      sounds.squeak(eye.disc.r * 2 / GOOGLY_EYE_DISC / eyeField.eyeWidth);
+    }
+    under.set(pointer.id, eye);
   }
+  eyesUnderPointers = under;
+}
 
-  // Draw buttons with their determined scales
-  image(maggieButton, maggieX, maggieY, maggieButton.width * currentMaggieScale, maggieButton.height * currentMaggieScale);
-  image(OJButton, ojButtonX, ojButtonY, OJButton.width * currentOJScale, OJButton.height * currentOJScale);
-  image(trumpButton, trumpX, trumpY, trumpButton.width * currentTrumpScale, trumpButton.height * currentTrumpScale);
+/**
+ * Shows a portrait over the gallery and pauses the gallery behind it. The gallery lets go of the
+ * camera meanwhile, so the portrait can open it.
+ */
+function showPortrait(id) {
+  let button = portraitButtons.find(b => b.id === id);
+  closeCamera();
+  // Saved portraits may not have their buttons yet when the page is opened at their address
+  portraitView.show(button ? button.page : portraitPage(id));
+  opening = null;
+  noLoop();
+}
 
-  // Check for click on Trump button
-  if (mouseIsPressed && mouseX > trumpLeft && mouseX < trumpRight && mouseY > trumpTop && mouseY < trumpBottom) {
-    // Open link in a new tab
-    window.open('https://editor.p5js.org/katzu/full/OpuITk5qy');
+/**
+ * Closes the portrait and brings the gallery back to life, with the camera in camera mode.
+ */
+function showGallery() {
+  portraitView.hide();
+  if (cameraMode) {
+    openCamera();
   }
+  loop();
+}
 
-  // Add click detection for OJ button
-  if (mouseIsPressed && mouseX > ojButtonLeft && mouseX < ojButtonRight && mouseY > ojButtonTop && mouseY < ojButtonBottom) {
-    // Open link in a new tab
-    window.open('https://editor.p5js.org/katzu/full/Kde_Jdh67', '_blank');
+function draw() {
+  // The creator takes over the whole canvas while it is open
+  if (portraitCreator.isOpen) {
+    portraitCreator.draw();
+    return;
   }
 
-  // --- Click detection for Maggie button ---
-  if (mouseIsPressed && mouseX > maggieLeft && mouseX < maggieRight && mouseY > maggieTop && mouseY < maggieBottom) {
-    // Open the p5.js editor full-screen link in a new tab
-    window.open('https://editor.p5js.org/katzu/full/TNDR3arfe', '_blank');
+  drawPackBackground(eyeField.pack); // Clear the background each frame
+
+  if (cameraCapture && cameraCapture.loadedmetadata) {
+    cameraCapture.loadPixels();
+    tracker.processPixels(cameraCapture.pixels, cameraCapture.width, cameraCapture.height, millis());
+  }
+  let looks = lookPoints();
+  if (soundOn) {
+    squeakHoveredEyes();
+    sounds.updateAmbient(cameraMode && tracker.result ? tracker.result.totalMotionPoints / (tracker.result.gridWidth * tracker.result.gridHeight) : null);
+  }
+  if (googlyMode) {
+    updateGooglyPupils(looks);
+  }
+
+  // Point each eyeball at the nearest look point, no further than its reach
+  if (!googlyMode) {
+    for (let eye of eyeField.eyes) {
+      let look = nearestLook(looks, eye.staticX, eye.staticY);
+      let dx = look.x - eye.staticX;
+      let dy = look.y - eye.staticY;
+      let reach = maxDistance * eye.scale;
+      let squared = dx * dx + dy * dy;
+      if (squared > reach * reach) {
+        let shrink = reach / sqrt(squared);
+        dx *= shrink;
+        dy *= shrink;
+      }
+      eye.moveX = dx;
+      eye.moveY = dy;
+    }
+  }
+  eyeField.draw();
+
+  // --- Button Drawing and Hover Logic ---
+  let hoveredButton = null;
+  for (let button of portraitButtons) {
+    button.layout(portraitSlotCount, buttonColumn);
+    button.update(pointers);
+    if (button.isHovered) {
+      hoveredButton = button;
+    } else {
+      button.draw();
+    }
+  }
+  // Draw the hovered button last so its bigger image sits on top of its neighbours
+  if (hoveredButton) {
+    hoveredButton.draw();
   }
 
 
   // --- INFO IMAGE HOVER LOGIC ---
-  // Calculate the actual dimensions and position of infoImage (INFO1.png)
+  // Calculate the actual dimensions of infoImage (INFO1.png)
   let infoWidth = infoImage.width * infoImageScale;
   let infoHeight = infoImage.height * infoImageScale;
-  let infoLeft = infoX - infoWidth / 2;
-  let infoRight = infoX + infoWidth / 2;
-  let infoTop = infoY - infoHeight / 2;
-  let infoBottom = infoY + infoHeight / 2;
-
-  // Reset info hover state
-  isMouseOverInfo = false;
 
-  // Check if mouse is over infoImage (INFO1.png)
-  if (mouseX > infoLeft && mouseX < infoRight && mouseY > infoTop && mouseY < infoBottom) {
-    isMouseOverInfo = true;
-  }
+  // Check if a mouse is over infoImage (INFO1.png), a finger is holding it or a tap pinned it open
+  isMouseOverInfo = infoPinned || pointers.isOver(overInfo, true);
 
   // Draw infoImage (INFO1.png)
   image(infoImage, infoX, infoY, infoWidth, infoHeight);
 
   // Draw infoImageHover (INFO2.png) ONLY if mouse is over infoImage
   if (isMouseOverInfo) {
-    // Apply the new scale factor to make info2.png bigger
-    let hoveredInfoWidth = infoWidth * infoHoverScaleFactor;
-    let hoveredInfoHeight = infoHeight * infoHoverScaleFactor;
-    image(infoImageHover, infoX, infoY, hoveredInfoWidth, hoveredInfoHeight);
+    // Apply the new scale factor to make info2.png bigger, keeping it on the canvas
+    let hovered = fitOnCanvas(infoX, infoY, infoWidth * infoHoverScaleFactor, infoHeight * infoHoverScaleFactor, width, height);
+    image(infoImageHover, hovered.x, hovered.y, hovered.width, hovered.height);
   }
 
   // --- NEW: ADD IMAGE HOVER LOGIC (mirroring info image logic) ---
-  // Calculate the actual dimensions and position of addImage (add.png)
+  // Calculate the actual dimensions of addImage (add.png)
   let addWidth = addImage.width * addImageScale;
   let addHeight = addImage.height * addImageScale;
-  let addLeft = addX - addWidth / 2;
-  let addRight = addX + addWidth / 2;
-  let addTop = addY - addHeight / 2;
-  let addBottom = addY + addHeight / 2;
-
-  // Reset add hover state
-  isMouseOverAdd = false;
 
-  // Check if mouse is over addImage (add.png)
-  if (mouseX > addLeft && mouseX < addRight && mouseY > addTop && mouseY < addBottom) {
-    isMouseOverAdd = true;
-  }
+  // Check if a mouse is over addImage (add.png) or a finger is holding it
+  isMouseOverAdd = pointers.isOver(overAdd, true);
 
   // Draw addImage (add.png)
   image(addImage, addX, addY, addWidth, addHeight);
 
   // Draw addImageHover (add-eyes.png) ONLY if mouse is over addImage
   if (isMouseOverAdd) {
-    // Apply the new scale factor to make add-eyes.png bigger
-    let hoveredAddWidth = addWidth * addHoverScaleFactor;
-    let hoveredAddHeight = addHeight * addHoverScaleFactor;
-    image(addImageHover, addX, addY, hoveredAddWidth, hoveredAddHeight);
+    // Apply the new scale factor to make add-eyes.png bigger, keeping it on the canvas
+    let hovered = fitOnCanvas(addX, addY, addWidth * addHoverScaleFactor, addHeight * addHoverScaleFactor, width, height);
+    image(addImageHover, hovered.x, hovered.y, hovered.width, hovered.height);
+  }
+
+  // Zoom the tapped portrait up to the whole window, then go to it
+  if (opening) {
+    let t = (millis() - opening.start) / openDuration;
+    opening.button.drawOpening(t);
+    if (t >= 1 && !opening.routed) {
+      opening.routed = true;
+      router.showPortrait(opening.button.id);
+    }
+  }
+
+  capturer.update();
+  frameTime = smoothMetric(frameTime, deltaTime);
+  if (showFrameRate) {
+    drawFrameRate();
+  }
+  if (packNotice) {
+    drawPackNotice();
+  }
+}
+
+/**
+ * Shows how smoothly the gallery runs, in the top left corner.
+ */
+function drawFrameRate() {
+  push();
+  let line = nf(1000 / frameTime, 0, 1) + ' fps  ' + nf(frameTime, 0, 1) + ' ms per frame  ' + eyeField.eyes.length + ' eyes';
+  textSize(14);
+  noStroke();
+  fill(0, 160);
+  rect(0, 0, textWidth(line) + 20, 28);
+  fill(255);
+  textAlign(LEFT, CENTER);
+  text(line, 10, 14);
+  pop();
+}
+
+/**
+ * Adds a gallery button for a portrait made with the creator, below the existing ones.
+ */
+function addCustomPortraitButton(portrait) {
+  portraitButtons.push(new PortraitButton(portraitButtonEntry(portrait, portraitSlotCount)));
+  portraitSlotCount++;
+}
+
+// Clicks and taps on the gallery itself go through pointerTapped(); these only serve the creator
+function mousePressed(event) {
+  if (portraitCreator.isOpen) {
+    portraitCreator.mousePressed(event);
+  }
+}
+
+function mouseDragged() {
+  if (portraitCreator.isOpen) {
+    portraitCreator.mouseDragged();
+  }
+}
+
+function mouseReleased() {
+  if (portraitCreator.isOpen) {
+    portraitCreator.mouseReleased();
+  }
+}
+
+function keyPressed() {
+  if (portraitCreator.isOpen || settingsPanel.hasFocus()) {
+    return;
+  }
+  if (keyCode === ESCAPE && portraitView.isOpen) {
+    router.showGallery();
+  } else if (key === 'v' || key === 'V') {
+    setCameraMode(!cameraMode);
+  } else if (key === 'g' || key === 'G') {
+    googlyMode = !googlyMode;
+  } else if (key === 'f' || key === 'F') {
+    showFrameRate = !showFrameRate;
+  } else if (key === 't' || key === 'T') {
+    settingsPanel.toggle();
+  } else if (key === 'q' || key === 'Q') {
+    sounds.toggle();
+    settingsPanel.remember();
+  } else if (key === 'e' || key === 'E') {
+    capturer.toggleBar();
+  } else if (key === 'y' || key === 'Y') {
+    nextGalleryPack();
   }
 }
 
 function windowResized() {
   resizeCanvas(windowWidth, windowHeight);
-  // The info image and add image positions (infoX, infoY, addX, addY) are static.
-  // If you wanted them to be responsive (e.g., always in a certain corner),
-  // you would adjust their X and Y based on width/height here.
+  layoutGallery();
+  if (tracker) {
+    tracker.setView(width, height);
+  }
 }
\ No newline at end of file
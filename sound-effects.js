@@ -0,0 +1,141 @@
+// Sound effects, made up on the spot with p5.sound so there are no sound files to load:
+// a squeak when a googly eye is hovered, a boing when a button is pressed, and an ambient hum
+// that swells with the motion the eyes follow. Sound is off until it is turned on with Q or in
+// the settings panel (?sound=on), and browsers only play it after a first click or key press.
+// The squeak and boing are plain Web Audio nodes on p5.sound's context and master output, as
+// p5.Oscillator cancels a frequency ramp when the next one is scheduled.
+
+let soundOn = false; // Whether sound effects are played
+let soundVolume = 0.6; // Master volume (0-1)
+let squeakGap = 60; // Shortest time between squeaks in milliseconds, so a sweep across the eyes doesn't buzz
+let ambientLevel = 0.04; // Volume of the hum in a still room
+let ambientSwell = 0.25; // Volume the hum gains when the whole picture moves
+
+/**
+ * The sound's rows for a sketch's settings panel (see settings-panel.js). Call
+ * SoundEffects.applyVolume() when either changes.
+ */
+function soundSettings() {
+  return [
+    { key: 'sound', label: 'Sound', options: ['off', 'on'], get: () => soundOn ? 'on' : 'off', set: v => { soundOn = v === 'on'; } },
+    { key: 'volume', label: 'Volume', min: 0, max: 1, step: 0.05, get: () => soundVolume, set: v => { soundVolume = v; } }
+  ];
+}
+
+class SoundEffects {
+  constructor() {
+    this.lastSqueak = -Infinity;
+    this.ambient = null; // The hum's noise, drone and filter, once started
+    this.applyVolume();
+    // The audio context may only start from a click or key press
+    let resume = () => userStartAudio();
+    window.addEventListener('pointerdown', resume, { once: true });
+    window.addEventListener('keydown', resume, { once: true });
+  }
+
+  /**
+   * Sets the master volume from soundOn and soundVolume. Call after changing either.
+   */
+  applyVolume() {
+    outputVolume(soundOn ? soundVolume : 0, 0.1);
+  }
+
+  toggle() {
+    soundOn = !soundOn;
+    this.applyVolume();
+  }
+
+  /**
+   * A short squeak, higher for smaller eyes.
+   * @param {number} size - The eye's size compared to an average one.
+   */
+  squeak(size) {
+    let now = millis();
+    if (!soundOn || now - this.lastSqueak < squeakGap) {
+      return;
+    }
+    this.lastSqueak = now;
+    let pitch = 1400 / max(0.3, size) * random(0.9, 1.1);
+    this.tone('sine', [[0, pitch * 0.7], [0.05, pitch], [0.09, pitch * 0.8]], 0.15, 0.1);
+  }
+
+  /**
+   * A springy boing, for a button press.
+   */
+  boing() {
+    if (!soundOn) {
+      return;
+    }
+    this.tone('triangle', [[0, 420], [0.06, 140], [0.14, 260], [0.24, 110], [0.34, 180], [0.5, 90]], 0.4, 0.55);
+  }
+
+  /**
+   * Plays a tone that glides through a list of frequencies and fades out.
+   * @param {string} type - An oscillator type: 'sine', 'triangle', 'square' or 'sawtooth'.
+   * @param {number[][]} glide - [seconds from the start, frequency] pairs.
+   * @param {number} peak - Loudest gain, reached at once.
+   * @param {number} duration - Seconds until silence.
+   */
+  tone(type, glide, peak, duration) {
+    let context = getAudioContext();
+    if (context.state !== 'running') {
+      return;
+    }
+    let start = context.currentTime;
+    let oscillator = context.createOscillator();
+    let gain = context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(glide[0][1], start);
+    for (let [time, frequency] of glide.slice(1)) {
+      oscillator.frequency.exponentialRampToValueAtTime(frequency, start + time);
+    }
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(peak, start + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    oscillator.connect(gain);
+    gain.connect(p5.soundOut.input);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.05);
+    oscillator.onended = () => gain.disconnect();
+  }
+
+  /**
+   * Moves the ambient hum along with the motion being followed. Call every frame.
+   * @param {number|null} motion - Share of the picture moving (0-1), or null for no hum at all.
+   */
+  updateAmbient(motion) {
+    if (motion === null || !soundOn) {
+      if (this.ambient) {
+        this.ambient.noise.amp(0, 0.5);
+        this.ambient.drone.amp(0, 0.5);
+      }
+      return;
+    }
+    if (!this.ambient) {
+      if (getAudioContext().state !== 'running') {
+        return;
+      }
+      this.ambient = this.startAmbient();
+    }
+    let level = ambientLevel + min(1, motion * 4) * ambientSwell;
+    this.ambient.noise.amp(level, 0.3);
+    this.ambient.drone.amp(level * 0.6, 0.3);
+    this.ambient.filter.freq(300 + min(1, motion * 4) * 2500);
+  }
+
+  startAmbient() {
+    let filter = new p5.LowPass();
+    filter.res(4);
+    let noise = new p5.Noise('brown');
+    noise.disconnect();
+    noise.connect(filter);
+    noise.amp(0);
+    noise.start();
+    let drone = new p5.Oscillator(55, 'sine');
+    drone.disconnect();
+    drone.connect(filter);
+    drone.amp(0);
+    drone.start();
+    return { noise: noise, drone: drone, filter: filter };
+  }
+}
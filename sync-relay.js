@@ -0,0 +1,191 @@
+// A small WebSocket relay for synchronising screens on several machines (see screen-sync.js):
+// every message one screen sends is passed on to all the other connected screens.
+//
+//   node sync-relay.js [port]                                default port 8765
+//
+// Then open the screen with the camera with ?sync=publish&relay=ws://<this machine>:8765 and the
+// others with ?input=sync&relay=ws://<this machine>:8765. Screens on the same machine as the
+// publisher don't need the relay; they hear it through a BroadcastChannel.
+// Plain Node.js without any packages, so it runs wherever Node does.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const DEFAULT_PORT = 8765;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 1 << 20; // Bigger messages close the connection
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+/**
+ * The Sec-WebSocket-Accept answer to a client's Sec-WebSocket-Key.
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+/**
+ * Builds an unmasked frame, as sent from a server.
+ * @param {number} opcode - One of OPCODES.
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads the complete frames at the start of a buffer.
+ * @param {Buffer} buffer
+ * @returns {{frames: Object[], rest: Buffer}} Frames as { fin, opcode, payload }, unmasked, and
+ *   the bytes of an incomplete frame left over.
+ */
+function decodeFrames(buffer) {
+  let frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    let fin = (buffer[offset] & 0x80) !== 0;
+    let opcode = buffer[offset] & 0x0f;
+    let masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let position = offset + 2;
+    if (length === 126) {
+      if (buffer.length < position + 2) {
+        break;
+      }
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) {
+        break;
+      }
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+    let mask = null;
+    if (masked) {
+      if (buffer.length < position + 4) {
+        break;
+      }
+      mask = buffer.subarray(position, position + 4);
+      position += 4;
+    }
+    if (length > MAX_MESSAGE) {
+      throw new Error('Message too big: ' + length + ' bytes');
+    }
+    if (buffer.length < position + length) {
+      break;
+    }
+    let payload = Buffer.from(buffer.subarray(position, position + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+    frames.push({ fin: fin, opcode: opcode, payload: payload });
+    offset = position + length;
+  }
+  return { frames: frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Starts the relay.
+ * @param {number} port
+ * @returns {http.Server}
+ */
+function startRelay(port) {
+  let clients = new Set();
+  let server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('Eyes on you sync relay: connect with a WebSocket\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    let key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      'Sec-WebSocket-Accept: ' + acceptKey(key) + '\r\n\r\n');
+    socket.setNoDelay(true);
+    clients.add(socket);
+    console.log('Screen connected from ' + socket.remoteAddress + ', ' + clients.size + ' connected');
+
+    let pending = Buffer.alloc(0);
+    let message = null; // { opcode, parts } while a fragmented message comes in
+    let forget = () => {
+      if (clients.delete(socket)) {
+        console.log('Screen disconnected, ' + clients.size + ' connected');
+      }
+    };
+    let close = () => {
+      forget();
+      socket.destroy();
+    };
+    socket.on('data', data => {
+      // Closing: nothing more is relayed
+      if (!clients.has(socket)) {
+        return;
+      }
+      let decoded;
+      try {
+        decoded = decodeFrames(Buffer.concat([pending, data]));
+      } catch (error) {
+        console.warn(error.message);
+        close();
+        return;
+      }
+      pending = Buffer.from(decoded.rest);
+      for (let frame of decoded.frames) {
+        if (frame.opcode === OPCODES.ping) {
+          socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        } else if (frame.opcode === OPCODES.close) {
+          // The socket goes once the close frame is sent and the screen hangs up
+          forget();
+          socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+          return;
+        } else if (frame.opcode === OPCODES.text || frame.opcode === OPCODES.binary || frame.opcode === OPCODES.continuation) {
+          message = message || { opcode: frame.opcode, parts: [] };
+          message.parts.push(frame.payload);
+          if (frame.fin) {
+            let relayed = encodeFrame(message.opcode, Buffer.concat(message.parts));
+            message = null;
+            for (let other of clients) {
+              if (other !== socket) {
+                other.write(relayed);
+              }
+            }
+          }
+        }
+      }
+    });
+    socket.on('error', close);
+    socket.on('close', forget);
+  });
+
+  server.listen(port);
+  return server;
+}
+
+if (require.main === module) {
+  let port = Number(process.argv[2]) || DEFAULT_PORT;
+  startRelay(port).on('listening', () => console.log('Sync relay listening on ws://localhost:' + port));
+}
+
+module.exports = { startRelay, encodeFrame, decodeFrames, acceptKey };
@@ -1,44 +1,144 @@
 // Global variables for the sketch
-let capture; // Stores the video capture object
-let prevFrame; // Stores the previous frame for motion comparison
-let eyeballs; // Image for the eyeballs
-let eyes; // Image for the static eye frame
-let eyesback; // Image for the background of the eyes
-
-// Configuration variables
-let stepSize = 8; // How many pixels to skip when checking for motion (smaller = more precise, more computation)
-let smoothX = 0; // Smoothed X position for the eyeballs
-let smoothY = 0; // Smoothed Y position for the eyeballs
-let smoothing = 0.05; // Amount of smoothing applied to the eyeball movement (0-1, higher = smoother, less jitter)
+let capture; // Stores the video capture object, replaced whenever the camera is restarted, or null
+let cameraManager; // Opens the camera and restarts it when it stalls (see camera-manager.js). Press N for the next camera.
+
+// Input sources (see input-sources.js): the gaze comes from the camera, the pointer, a scripted
+// path or another screen, chosen with ?input=pointer, ?input=path (with e.g. &path=0.2,0.3;0.8,0.3),
+// ?input=sync or by pressing I. While the camera is unavailable the pointer takes over and a notice says why.
+let inputs; // The camera, pointer, path and sync sources, by name
+let chosenInput = 'camera'; // The name of the source asked for
+let input; // The source in use this frame: a replay, the chosen source, or the pointer instead of the camera
+
+// Several screens following one camera (see screen-sync.js): ?sync=publish shares what this
+// screen's camera sees, ?input=sync follows it. Each screen's place on the shared room plane is
+// set in room units, the same on every screen, e.g. centimetres along the wall.
+let roomX = 0; // Left edge of this canvas in the room
+let roomY = 0; // Top edge of this canvas in the room
+let roomWidth = 200; // Width of this canvas in the room; its height follows its shape
+let syncLink; // The connection to the other screens
+let syncPublisher = null; // Publishes this screen's targets, with ?sync=publish
+
+let portraitManifest; // The parsed portraits.json
+let face; // The face being shown: its frame, sockets and pupils (see portrait-face.js)
+let portraitName = ''; // The name of the portrait shown, for the names of captured files
+
+// Motion is analysed at a fixed low resolution whatever the size of the screen, in a Web Worker
+// where the browser allows it (see worker-tracker.js), so drawing keeps its frame rate on big
+// projectors. Open the page with ?worker=off to analyse on the main thread instead, e.g. to
+// compare the timings shown in the status readout (press S) or returned by trackingMetrics().
+let analysisWidth = 320; // Width the camera frames are analysed at
+let analysisHeight = 240; // Height the camera frames are analysed at
+let useWorker; // Whether the tracker runs in a worker, decided in setup()
+let frameTime = 0; // Milliseconds between drawn frames, smoothed
+
+// Configuration variables, passed to the motion tracker (see motion-tracker.js)
+let stepSize = 4; // How many pixels of the analysed frame to skip when checking for motion (smaller = more precise, more computation)
+let smoothing = 0.05; // Amount of smoothing applied to the gaze point (0-1, higher = smoother, less jitter)
 let calmDownSmoothing = 0.01; // Slower smoothing for returning to center when no motion
 let calmDownThreshold = 60; // Number of frames after which calm down logic activates (e.g., 60 frames = 1 second at 60fps)
 
 // Variables for scanning behavior
-let scanAmplitude = 15; // Maximum distance the eyes will scan from the center
+let scanAmplitude = 150; // Maximum distance the scanned gaze point moves from the center
 let scanSpeed = 0.005; // Speed of the scanning motion (smaller = slower)
 
-// Image scale factors - these will be calculated dynamically in setup and windowResized
-let eyeballsScale;
-let eyesScale;
-let eyesbackScale;
-
-let motionDetected = false; // Flag to indicate if motion is currently detected
-let noMotionTimer = 0; // Timer to track how long no significant motion has been detected
-let maxRadius = 70; // Maximum movement radius for the eyeballs from the center
-
-// Blob detection specific variables
-let motionGrid; // 2D array to mark detected motion points for blob analysis
-let gridWidth; // Width of the motion grid
-let gridHeight; // Height of the motion grid
+let maxRadius = 70; // Maximum distance a pupil moves from its rest position
+let expression; // Blinks, eyelids, pupil size and saccades of the face (see expression.js)
+let gazeDepth = 900; // How far in front of the screen targets are assumed to be (smaller = more convergence)
+
+// Motion detection mode
+// 'diff' compares each frame with the previous one, so only movement is seen.
+// 'average' and 'median' compare with a learned picture of the empty room, so people are seen
+// while they stand still too (see background-model.js). Press M to cycle and B to relearn the room.
+let motionMode = 'diff';
+let motionThreshold = 45; // Starting colour distance above which a pixel counts as motion
+let minBlobArea = 100; // Smallest blob area (analysed pixels) that counts as a person, before adaptation
+let backgroundLearningRate = 0.002; // How fast the learned background follows the scene
+
+// Lighting calibration: measures the camera's noise on startup (press C to redo it) and keeps
+// adapting the threshold and minimum blob area. Press S to show the current values.
+let showStatus = false; // Whether the status readout is shown (it always is while calibrating)
+let statusShownUntil = 0; // Time until which the status readout stays up after a key changed what it shows
+let statusMessage = null; // Why a key did nothing, shown at the start of the status readout meanwhile
+
+// Camera-to-room mapping (see projection-calibration.js). Press K to calibrate it.
+let projectionMapping; // The stored mapping, or a plain mirror before any calibration
+let projectionCalibration; // The calibration mode
+
+// Multi-person tracking and attention (see blob-tracker.js and attention.js)
+let attentionDwell = 4000; // Milliseconds the eyes stay locked on one person before reconsidering
+let glanceChance = 0.5; // Chance (0-1) of glancing at someone who has just arrived
+let tracks = []; // The live tracks, updated every frame
+let attentionTarget = null; // The track currently looked at, or null
+
+// The motion pipeline: motion detection, blobs, tracking, attention and gaze smoothing
+let tracker; // See motion-tracker.js
+
+// Recording and replaying sessions (see session-recording.js and replay-headless.js).
+// Press R to start and stop recording, P to pick a recording to replay, or drop one on the page.
+let recorder; // Records the camera's grid samples while on
+let replay = null; // The recording being replayed instead of the chosen source (a ReplayInput), or null
+let recordingLimit = 60; // Seconds after which a recording stops by itself
+
+// What the tracker saw and decided, drawn over the face (see debug-overlay.js). Press D to show it.
+let debugOverlay;
+
+// Live tuning (see settings-panel.js). Press T to open the panel; any setting can also be given
+// in the URL, e.g. ?smoothing=0.1&threshold=30.
+let settingsPanel;
+
+// Unattended installations (see kiosk.js): ?kiosk goes fullscreen and hides the cursor, and
+// ?sleep=22:00-07:30 closes the eyes for the night.
+let kiosk;
+let asleep = false; // Whether the face is sleeping through its sleep period
+
+// Sound (see sound-effects.js and microphone.js): Q turns the ambient hum on and off, L listens to
+// the room, where loud sounds startle the face and the eyes glance towards the louder side.
+let sounds;
+let microphone;
+
+// How the eyes look (see asset-packs.js): the portrait's own eyes unless a pack is chosen for this
+// portrait, or for the whole gallery. Press Y to switch this portrait's pack, or open the page
+// with ?pack=<id> (?pack=own for its own eyes).
+let packs; // The asset packs listed in portraits.json
+let facePack = null; // The loaded pack the face is drawn with, or null for the portrait's own eyes
+
+// Photos, GIFs and videos of the face (see canvas-capture.js). Press E or open the page with
+// ?capture for the capture buttons.
+let capturer;
+
+// Attention analytics (see analytics.js and analytics-report.js): with the Analytics setting on the
+// camera's frames are added up into a heatmap, engagements and busiest hours. Press A for the report.
+let analyticsReport;
 
 /**
  * Preloads all necessary image assets before the sketch starts.
  * This ensures images are available when `setup()` and `draw()` are called.
  */
 function preload() {
-  eyeballs = loadImage('eyeballs.png');
-  eyes = loadImage('eyes.png');
-  eyesback = loadImage('eyesback.png');
+  // The portrait to show is chosen with ?portrait=<id>; built-in faces are listed in portraits.json
+  portraitManifest = loadJSON('portraits.json', manifest => {
+    let id = requestedPortraitId();
+    let entry = manifest.portraits.find(e => e.id === id && e.face) ||
+      manifest.portraits.find(e => e.id === manifest.defaultPortrait);
+    face = loadFace(entry.face, manifest.pupils);
+    portraitName = entry.name;
+
+    packs = new AssetPacks(manifest.packs);
+    let requested = new URLSearchParams(window.location.search).get('pack');
+    if (requested === 'own' || packs.has(requested)) {
+      let choices = loadPackChoices();
+      choices.portraits[packPortraitId()] = requested;
+      savePackChoices(choices);
+    }
+    applyPortraitPack();
+  });
+}
+
+/**
+ * Returns the portrait id given in the page URL, or null if there is none.
+ */
+function requestedPortraitId() {
+  return new URLSearchParams(window.location.search).get('portrait');
 }
 
 /**
@@ -48,34 +148,231 @@ function preload() {
 function setup() {
   // Create a canvas that fills the entire browser window
   createCanvas(windowWidth, windowHeight);
+  // Opened from the gallery or as a kiosk, the page shows nothing but the sketch
+  kiosk = new Kiosk();
+  kiosk.start();
+  if (window.self !== window.top || kiosk.isOn) {
+    document.body.classList.add('embedded');
+  }
 
-  // Initialize video capture from the default camera
-  capture = createCapture(VIDEO);
-  // Set the resolution of the video capture to match the canvas size
-  capture.size(width, height);
-  // Hide the default video element, as we'll draw it ourselves
-  capture.hide();
-
-  // Create an empty image to store the previous frame's pixels
-  prevFrame = createImage(capture.width, capture.height);
+  // The camera is analysed at a fixed low resolution independent of the canvas size, and only
+  // opened once it is the chosen input. A restarted camera's frames have nothing to do with the
+  // old ones, so the tracker starts over.
+  cameraManager = new CameraManager(analysisWidth, analysisHeight, newCapture => {
+    capture = newCapture;
+    if (tracker && !replay) {
+      tracker.reset();
+    }
+  });
+  let params = new URLSearchParams(window.location.search);
+  syncLink = new SyncLink(params.get('relay'));
+  if (params.get('sync') === 'publish') {
+    syncPublisher = new SyncPublisher(syncLink);
+  }
+  inputs = {
+    camera: new CameraInput(cameraManager),
+    pointer: new PointerInput(select('canvas').elt),
+    path: new PathInput(parsePath(params.get('path')) || undefined),
+    sync: new SyncInput(syncLink, roomPlacement)
+  };
+  chooseInput(params.get('input') || 'camera');
+  input = currentInput();
 
-  // Initialize smoothed positions to the center of the canvas
-  smoothX = width / 2;
-  smoothY = height / 2;
   // Set image drawing mode to center, so images are drawn from their center point
   imageMode(CENTER);
+  expression = new Expression(face.expression);
+
+  settingsPanel = new SettingsPanel('tracking', trackingSettings(), settingChanged);
+  projectionMapping = loadProjectionMapping();
+  useWorker = WorkerTracker.isSupported() && params.get('worker') !== 'off';
+  tracker = createTracker(trackerOptions());
+  projectionCalibration = new ProjectionCalibration(mapping => {
+    projectionMapping = mapping;
+    tracker.setHomography(mapping.homography);
+  });
+
+  debugOverlay = new DebugOverlay();
+  sounds = new SoundEffects();
+  microphone = new MicrophoneListener();
+  capturer = new CanvasCapture(() => portraitName, () => capture);
+  analyticsReport = new AnalyticsReport();
+  if (params.has('mic')) {
+    microphone.start();
+  }
+  recorder = new SessionRecorder(recordingLimit);
+  // A recording dropped on the page is replayed
+  let canvas = select('canvas');
+  canvas.drop(file => startReplay(file.file));
+
+  // A pack chosen in the gallery, or for this portrait in another window, applies straight away
+  window.addEventListener('storage', event => {
+    if (event.key === PACK_STORAGE_KEY) {
+      applyPortraitPack();
+    }
+  });
+
+  // Portraits made with the creator live in local storage rather than portraits.json
+  let portraitId = requestedPortraitId();
+  if (portraitId && !portraitManifest.portraits.some(e => e.id === portraitId)) {
+    loadCustomPortrait(portraitId);
+  }
+}
 
-  // Initialize motion grid dimensions based on capture size and stepSize
-  gridWidth = floor(capture.width / stepSize);
-  gridHeight = floor(capture.height / stepSize);
-  motionGrid = Array(gridHeight).fill(0).map(() => Array(gridWidth).fill(0));
-
-  // Calculate initial scales for the images to cover the entire canvas
-  // We use max() to ensure the image is large enough to cover the canvas,
-  // potentially cropping if aspect ratios don't match.
-  eyeballsScale = max(width / eyeballs.width, height / eyeballs.height);
-  eyesScale = max(width / eyes.width, height / eyes.height);
-  eyesbackScale = max(width / eyesback.width, height / eyesback.height);
+/**
+ * The configuration variables shown in the settings panel. Keys that are also tracker options
+ * are named after the option.
+ */
+function trackingSettings() {
+  return [
+    { key: 'stepSize', label: 'Step size', min: 1, max: 16, step: 1, get: () => stepSize, set: v => { stepSize = v; } },
+    { key: 'smoothing', label: 'Smoothing', min: 0.005, max: 0.5, step: 0.005, get: () => smoothing, set: v => { smoothing = v; } },
+    { key: 'calmDownSmoothing', label: 'Calm down smoothing', min: 0.001, max: 0.1, step: 0.001, get: () => calmDownSmoothing, set: v => { calmDownSmoothing = v; } },
+    { key: 'calmDownThreshold', label: 'Calm down after (frames)', min: 0, max: 600, step: 10, get: () => calmDownThreshold, set: v => { calmDownThreshold = v; } },
+    { key: 'scanAmplitude', label: 'Scan amplitude', min: 0, max: 600, step: 10, get: () => scanAmplitude, set: v => { scanAmplitude = v; } },
+    { key: 'scanSpeed', label: 'Scan speed', min: 0, max: 0.05, step: 0.0005, get: () => scanSpeed, set: v => { scanSpeed = v; } },
+    { key: 'maxRadius', label: 'Pupil travel', min: 0, max: 200, step: 1, get: () => maxRadius, set: v => { maxRadius = v; } },
+    { key: 'gazeDepth', label: 'Gaze depth', min: 100, max: 3000, step: 50, get: () => gazeDepth, set: v => { gazeDepth = v; } },
+    { key: 'motionMode', label: 'Motion mode', options: ['diff'].concat(BACKGROUND_MODES), get: () => motionMode, set: v => { motionMode = v; } },
+    { key: 'threshold', label: 'Motion threshold', min: 5, max: 150, step: 1, get: () => motionThreshold, set: v => { motionThreshold = v; } },
+    { key: 'minBlobArea', label: 'Smallest person', min: 10, max: 2000, step: 10, get: () => minBlobArea, set: v => { minBlobArea = v; } },
+    { key: 'learningRate', label: 'Background learning', min: 0, max: 0.05, step: 0.0005, get: () => backgroundLearningRate, set: v => { backgroundLearningRate = v; } },
+    { key: 'attentionDwell', label: 'Attention dwell (ms)', min: 0, max: 15000, step: 250, get: () => attentionDwell, set: v => { attentionDwell = v; } },
+    { key: 'glanceChance', label: 'Glance chance', min: 0, max: 1, step: 0.05, get: () => glanceChance, set: v => { glanceChance = v; } },
+    { key: 'roomX', label: 'Left edge in the room', min: -100000, max: 100000, step: 1, get: () => roomX, set: v => { roomX = v; } },
+    { key: 'roomY', label: 'Top edge in the room', min: -100000, max: 100000, step: 1, get: () => roomY, set: v => { roomY = v; } },
+    { key: 'roomWidth', label: 'Width in the room', min: 1, max: 100000, step: 1, get: () => roomWidth, set: v => { roomWidth = v; } },
+    { key: 'analytics', label: 'Analytics', options: ['off', 'on'], get: () => analyticsOn ? 'on' : 'off', set: v => { analyticsOn = v === 'on'; } }
+  ].concat(soundSettings(), captureSettings());
+}
+
+/**
+ * Passes a setting changed in the panel on to the tracker, if it is one of its options, or to the sound.
+ */
+function settingChanged(key) {
+  if (key === 'sound' || key === 'volume') {
+    sounds.applyVolume();
+    return;
+  }
+  let options = trackerOptions();
+  if (key in tracker.settings()) {
+    tracker.configure({ [key]: options[key] });
+  }
+}
+
+/**
+ * Where this canvas sits in the shared room, for synchronised screens.
+ */
+function roomPlacement() {
+  return screenPlacement(roomX, roomY, roomWidth, width);
+}
+
+/**
+ * The motion tracker's options from the configuration variables, for the camera and this canvas.
+ */
+function trackerOptions() {
+  return {
+    stepSize: stepSize,
+    smoothing: smoothing,
+    calmDownSmoothing: calmDownSmoothing,
+    calmDownThreshold: calmDownThreshold,
+    scanAmplitude: scanAmplitude,
+    scanSpeed: scanSpeed,
+    motionMode: motionMode,
+    threshold: motionThreshold,
+    minBlobArea: minBlobArea,
+    learningRate: backgroundLearningRate,
+    attentionDwell: attentionDwell,
+    glanceChance: glanceChance,
+    homography: projectionMapping.homography,
+    viewWidth: width,
+    viewHeight: height
+  };
+}
+
+/**
+ * Creates a motion tracker, in a worker if possible, replacing the current one.
+ */
+function createTracker(options) {
+  if (tracker instanceof WorkerTracker) {
+    tracker.terminate();
+  }
+  return useWorker ? new WorkerTracker(options) : new MotionTracker(options);
+}
+
+/**
+ * Timings for comparing the worker with the main thread, in milliseconds:
+ * frameTime between drawn frames, processingTime per analysed frame, and for the worker
+ * the latency from sending a frame to getting its result and the number of frames skipped.
+ */
+function trackingMetrics() {
+  return Object.assign({ worker: useWorker, frameTime: frameTime }, tracker.metrics);
+}
+
+/**
+ * Loads a portrait made with the creator from local storage, along with its images.
+ * The default face stays on screen until everything has loaded.
+ * @param {string} id - The id of the stored portrait.
+ */
+function loadCustomPortrait(id) {
+  loadPortrait(id)
+    .then(portrait => {
+      if (!portrait) {
+        console.warn('No saved portrait with id ' + id);
+        return;
+      }
+      loadFace(portraitFaceDefinition(portrait), portraitManifest.pupils, loadedFace => {
+        face = loadedFace;
+        portraitName = portrait.name;
+        expression = new Expression(face.expression);
+      });
+    })
+    .catch(error => console.warn('Could not load portrait ' + id, error));
+}
+
+/**
+ * The id this portrait's pack is chosen under.
+ */
+function packPortraitId() {
+  return requestedPortraitId() || portraitManifest.defaultPortrait;
+}
+
+/**
+ * Draws the face with the pack chosen for it, once the pack has loaded. The face keeps its
+ * current look meanwhile.
+ * @param {function} [onApplied] - Called once the face has its new look.
+ */
+function applyPortraitPack(onApplied) {
+  let id = portraitPackId(loadPackChoices(), packPortraitId());
+  if (!id || !packs.has(id)) {
+    facePack = null;
+    if (onApplied) {
+      onApplied();
+    }
+    return;
+  }
+  packs.load(id, pack => {
+    // Only if no other pack was chosen while this one loaded
+    if (portraitPackId(loadPackChoices(), packPortraitId()) === id) {
+      facePack = pack;
+      if (onApplied) {
+        onApplied();
+      }
+    }
+  });
+}
+
+/**
+ * Switches this portrait to the next pack, after its own eyes, and shows its name in the status
+ * readout for a moment.
+ */
+function nextPortraitPack() {
+  let choices = loadPackChoices();
+  let options = ['own'].concat(packs.ids);
+  let current = portraitPackId(choices, packPortraitId()) || 'own';
+  let next = options[(options.indexOf(current) + 1) % options.length];
+  choices.portraits[packPortraitId()] = next;
+  savePackChoices(choices);
+  applyPortraitPack(flashStatus);
 }
 
 /**
@@ -83,184 +380,388 @@ function setup() {
  * This function runs repeatedly, typically 60 times per second.
  */
 function draw() {
+  // The calibration mode takes over the canvas while it is open, and needs the camera picture
+  if (projectionCalibration.isOpen && !capture) {
+    projectionCalibration.close();
+  }
+  if (projectionCalibration.isOpen) {
+    projectionCalibration.draw(capture);
+    return;
+  }
+
   // Set the background to white
   background(255);
+  frameTime = smoothMetric(frameTime, deltaTime);
 
-  // Load pixels from the current video frame and the previous frame
-  capture.loadPixels();
-  prevFrame.loadPixels();
+  // A worker that failed to start is replaced by a tracker on the main thread
+  if (tracker.failed) {
+    useWorker = false;
+    tracker = createTracker(trackerOptions());
+  }
 
-  // Reset motion grid for the current frame
-  for (let y = 0; y < gridHeight; y++) {
-    for (let x = 0; x < gridWidth; x++) {
-      motionGrid[y][x] = 0;
+  // While asleep the tracker rests; on waking it starts afresh, as the room has moved on
+  let sleeping = kiosk.isAsleep;
+  if (asleep && !sleeping && !replay) {
+    tracker.reset();
+  }
+  asleep = sleeping;
+  cameraManager.update(asleep);
+
+  // Move the input source on: recorded and camera frames go through the motion pipeline
+  let previousInput = input;
+  input = currentInput();
+  if (input !== previousInput && input === inputs.camera) {
+    tracker.reset();
+  }
+  if (replay) {
+    replay.update(tracker, millis());
+    if (!replay.isPlaying) {
+      stopReplay();
     }
+  } else if (!asleep) {
+    input.update(tracker, millis(), recorder.isRecording ? recordFrame : null);
+  }
+  if (tracker.result) {
+    tracks = tracker.result.tracks;
+    attentionTarget = tracker.result.target;
+  }
+  let tracking = input === inputs.camera || input === replay;
+  let calibrating = tracking && (!tracker.result || tracker.result.calibrating);
+  if (syncPublisher && tracking && !asleep) {
+    syncPublisher.update(tracker.result, { x: tracker.gazeX, y: tracker.gazeY }, roomPlacement(), millis());
+  }
+  analyticsReport.update(tracker.result, input === inputs.camera && !asleep && !calibrating);
+
+  // Display the face, each pupil aiming from its own socket at where the expression points the eyes
+  let reaction = Object.assign(input.expressionInput(tracker), { asleep: asleep });
+  reactToSound(reaction);
+  let look = expression.update(reaction, millis());
+  drawFace(face, look.x, look.y, { depth: gazeDepth, maxTravel: maxRadius, expression: look, pack: facePack });
+  capturer.update();
+
+  debugOverlay.update(tracker.result);
+  if (debugOverlay.isOpen) {
+    debugOverlay.draw({
+      result: tracker.result,
+      video: replay ? null : capture, // The camera picture does not belong to replayed frames
+      camera: cameraManager,
+      input: input.name,
+      gazeX: tracker.gazeX,
+      gazeY: tracker.gazeY,
+      look: look,
+      pupils: facePupils(face, look.x, look.y, { depth: gazeDepth, maxTravel: maxRadius, pack: facePack })
+    });
   }
 
-  let totalMotionPoints = 0; // Keep track of total motion points for overall sensitivity
+  if (analyticsReport.isOpen) {
+    analyticsReport.draw();
+  }
+  if (showStatus || millis() < statusShownUntil || (calibrating && !asleep) || recorder.isRecording || replay || (tracking && cameraManager.status !== 'ok')) {
+    drawStatus();
+  }
+  if (input === inputs.pointer && chosenInput === 'camera') {
+    drawNotice('No camera (' + cameraManager.unavailable + '). The eyes follow your pointer instead.');
+  } else if (input === inputs.sync && !inputs.sync.isConnected) {
+    drawNotice('Waiting for the screen with the camera (open it with ?sync=publish)');
+  }
+}
 
-  // Step 1: Detect motion and populate the motionGrid
-  for (let y = 0; y < capture.height; y += stepSize) {
-    for (let x = 0; x < capture.width; x += stepSize) {
-      let index = (x + y * capture.width) * 4; // * 4 for RGBA
+/**
+ * The input source to use this frame: a replay while there is one, otherwise the chosen source,
+ * with the pointer standing in for the camera while it is unavailable.
+ */
+function currentInput() {
+  if (replay) {
+    return replay;
+  }
+  if (chosenInput === 'camera' && cameraManager.unavailable) {
+    return inputs.pointer;
+  }
+  return inputs[chosenInput];
+}
 
-      let r1 = capture.pixels[index];
-      let g1 = capture.pixels[index + 1];
-      let b1 = capture.pixels[index + 2];
+/**
+ * Switches to an input source, opening the camera for the camera and closing it for the others.
+ * @param {string} name - 'camera', 'pointer', 'path' or 'sync'.
+ */
+function chooseInput(name) {
+  if (!inputs[name]) {
+    console.warn('Unknown input ' + name + ', expected one of ' + Object.keys(inputs).join(', '));
+    return;
+  }
+  chosenInput = name;
+  // The camera is only kept open while it is the chosen source
+  if (name !== 'camera') {
+    cameraManager.stop();
+  } else if (!cameraManager.started) {
+    cameraManager.start();
+  }
+}
 
-      let r2 = prevFrame.pixels[index];
-      let g2 = prevFrame.pixels[index + 1];
-      let b2 = prevFrame.pixels[index + 2];
+/**
+ * Lets the microphone startle the face and turn the eyes, and the hum follow the motion.
+ * @param {Object} reaction - What the expression reacts to, changed in place.
+ */
+function reactToSound(reaction) {
+  let heard = microphone.update(millis());
+  reaction.startle = heard.startle;
+  if (heard.glance) {
+    reaction.x = reaction.gazeX = width / 2 + heard.glance * width * 0.45;
+    reaction.y = reaction.gazeY = height / 2;
+  }
+  sounds.updateAmbient(asleep ? null : reaction.motion);
+}
 
-      // Increased threshold for motion detection to reduce noise
-      let d = dist(r1, g1, b1, r2, g2, b2);
+/**
+ * Shows a notice at the top of the canvas, e.g. why the eyes follow the pointer instead of the camera.
+ */
+function drawNotice(notice) {
+  push();
+  textSize(16);
+  let w = textWidth(notice) + 30;
+  noStroke();
+  fill(0, 170);
+  rect(width / 2 - w / 2, 12, w, 34, 17);
+  fill(255);
+  textAlign(CENTER, CENTER);
+  text(notice, width / 2, 29);
+  pop();
+}
 
-      if (d > 45) { // If difference is above threshold, mark as motion
-        let gridX = floor(x / stepSize);
-        let gridY = floor(y / stepSize);
-        if (gridX < gridWidth && gridY < gridHeight) {
-          motionGrid[gridY][gridX] = 1; // Mark as motion
-          totalMotionPoints++;
-        }
-      }
-    }
+/**
+ * Draws the status readout: the input source, motion mode, expression and eyes, lighting
+ * calibration values and timings, and whether a session is being recorded or replayed.
+ */
+function drawStatus() {
+  push();
+  let metrics = trackingMetrics();
+  let line = input.name + '  ' + tracker.motionMode + '  ' + expression.state + '  eyes ' + (facePack ? facePack.name : 'own') +
+    '  ' + (tracker.result ? tracker.result.lightingStatus : 'starting…') +
+    '  frame ' + nf(metrics.frameTime, 0, 1) + ' ms  processing ' + nf(metrics.processingTime, 0, 1) + ' ms' +
+    (useWorker ? ' in worker, latency ' + nf(metrics.latency, 0, 1) + ' ms' : ' on main thread');
+  if (microphone.isOn) {
+    line += '  mic ' + nf(microphone.level, 0, 2);
+  } else if (microphone.error) {
+    line += '  ' + microphone.error;
+  }
+  if (cameraManager.started && cameraManager.status !== 'ok' && !replay) {
+    line = 'camera ' + cameraManager.status + '  ' + line;
   }
+  if (statusMessage && millis() < statusShownUntil) {
+    line = statusMessage + '  ' + line;
+  }
+  if (recorder.isRecording) {
+    line = 'REC ' + nf(recorder.times.length ? recorder.times[recorder.times.length - 1] / 1000 : 0, 0, 1) + 's  ' + line;
+  } else if (replay) {
+    line = 'REPLAY ' + replay.source.next + '/' + replay.recording.frames.length + '  ' + line;
+  }
+  textSize(14);
+  noStroke();
+  fill(0, 160);
+  rect(0, height - 28, textWidth(line) + 20, 28);
+  fill(255);
+  textAlign(LEFT, CENTER);
+  text(line, 10, height - 14);
+  pop();
+}
 
-  let blobs = []; // Array to store detected blobs
-  let visited = Array(gridHeight).fill(0).map(() => Array(gridWidth).fill(false)); // To keep track of visited grid cells
-
-  // Step 2: Find blobs using a flood-fill like approach (BFS)
-  for (let y = 0; y < gridHeight; y++) {
-    for (let x = 0; x < gridWidth; x++) {
-      if (motionGrid[y][x] === 1 && !visited[y][x]) {
-        // Found an unvisited motion point, start a new blob search
-        let currentBlob = {
-          xSum: 0,
-          ySum: 0,
-          count: 0
-        };
-        let queue = [{
-          x: x,
-          y: y
-        }];
-        visited[y][x] = true;
-
-        while (queue.length > 0) {
-          let point = queue.shift(); // Get the next point from the queue
-
-          // Convert grid coordinates back to pixel coordinates for sum
-          currentBlob.xSum += (point.x * stepSize) + (stepSize / 2);
-          currentBlob.ySum += (point.y * stepSize) + (stepSize / 2);
-          currentBlob.count++;
-
-          // Check neighbors (8 directions)
-          for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-              let nx = point.x + dx;
-              let ny = point.y + dy;
-
-              // Ensure neighbor is within bounds and is a motion point and not visited
-              if (nx >= 0 && nx < gridWidth && ny >= 0 && ny < gridHeight &&
-                motionGrid[ny][nx] === 1 && !visited[ny][nx]) {
-                visited[ny][nx] = true;
-                queue.push({
-                  x: nx,
-                  y: ny
-                });
-              }
-            }
-          }
-        }
-        // If a blob was found, add it to the list
-        if (currentBlob.count > 0) {
-          blobs.push(currentBlob);
-        }
-      }
-    }
+/**
+ * Shows the status readout for a moment, so a key's effect can be seen without pressing S.
+ * @param {string} [message] - Why the key did nothing, to show with it.
+ */
+function flashStatus(message = null) {
+  statusShownUntil = millis() + 2000;
+  statusMessage = message;
+}
+
+/**
+ * This function is called automatically whenever the browser window is resized.
+ * It ensures the canvas and video capture adjust to the new window dimensions.
+ */
+function windowResized() {
+  // Resize the canvas to the new window dimensions; the video keeps its analysis resolution
+  resizeCanvas(windowWidth, windowHeight);
+
+  // Positions of existing tracks belong to the old size; the tracker re-centres the gaze
+  tracker.setView(width, height);
+}
+
+/**
+ * Starts or stops recording the camera. Stopping downloads the recording as an .eyesrec file.
+ */
+function toggleRecording() {
+  if (recorder.isRecording) {
+    finishRecording();
+  } else if (input === inputs.camera) {
+    recorder.start(tracker, millis());
+  } else {
+    flashStatus('Only the camera can be recorded (press I for the camera)');
   }
+}
 
-  let targetX = width / 2; // Default target is center
-  let targetY = height / 2; // Default target is center
+/**
+ * Adds a frame's grid samples to the recording, ending it when it is full.
+ */
+function recordFrame(cells, time) {
+  if (recorder.isRecording && !recorder.addFrame(cells, time)) {
+    finishRecording();
+  }
+}
 
-  // Step 3: Select the largest blob as the target
-  if (blobs.length > 0) {
-    // Sort blobs by size (count of motion points) in descending order
-    blobs.sort((a, b) => b.count - a.count);
-    let largestBlob = blobs[0];
+function finishRecording() {
+  recorder.finish()
+    .then(blob => {
+      if (!blob) {
+        return;
+      }
+      let link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'session-' + new Date().toISOString().replace(/[:.]/g, '-') + '.eyesrec';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    })
+    .catch(error => console.warn('Could not save the recording', error));
+}
 
-    // Calculate the centroid of the largest blob
-    targetX = largestBlob.xSum / largestBlob.count;
-    targetY = largestBlob.ySum / largestBlob.count;
+/**
+ * Replays a recording instead of the camera, with the settings and mapping it was recorded with.
+ * @param {File} file - An .eyesrec file.
+ */
+function startReplay(file) {
+  if (recorder.isRecording) {
+    finishRecording();
+  }
+  readRecordingFile(file)
+    .then(recording => {
+      let header = recording.header;
+      tracker = createTracker(Object.assign({}, header.settings, {
+        homography: header.homography,
+        viewWidth: width,
+        viewHeight: height
+      }));
+      replay = new ReplayInput(recording, millis());
+    })
+    .catch(error => console.warn('Could not read recording ' + file.name, error));
+}
 
-    // Reflect the X motion to match the projection
-    targetX = width - targetX;
+/**
+ * Ends a replay and goes back to the chosen input source with the sketch's own settings.
+ */
+function stopReplay() {
+  replay = null;
+  tracker = createTracker(trackerOptions());
+}
 
-    // Apply radius constraint
-    let distance = dist(targetX, targetY, width / 2, height / 2);
-    if (distance > maxRadius) {
-      let angle = atan2(targetY - height / 2, targetX - width / 2);
-      targetX = width / 2 + cos(angle) * maxRadius;
-      targetY = height / 2 + sin(angle) * maxRadius;
+/**
+ * Opens a file picker for a recording to replay.
+ */
+function pickReplay() {
+  let input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.eyesrec';
+  input.onchange = () => {
+    if (input.files.length) {
+      startReplay(input.files[0]);
     }
+  };
+  input.click();
+}
 
-    // Check if the largest blob is significant enough to be considered motion
-    if (largestBlob.count * stepSize * stepSize > 1000) { // Blob area approximation
-      smoothX = smoothX + (targetX - smoothX) * smoothing;
-      smoothY = smoothY + (targetY - smoothY) * smoothing;
-      motionDetected = true;
-      noMotionTimer = 0;
-    } else {
-      motionDetected = false;
-      noMotionTimer++;
-    }
-  } else {
-    // No significant blobs detected
-    motionDetected = false;
-    noMotionTimer++;
-  }
-
-  // Calm down logic: if no motion for a while, slowly scan the space
-  if (!motionDetected && noMotionTimer > calmDownThreshold) {
-    let targetScanX = width / 2 + sin(frameCount * scanSpeed) * scanAmplitude;
-    let targetScanY = height / 2 + cos(frameCount * scanSpeed * 0.7) * scanAmplitude;
-    smoothX = smoothX + (targetScanX - smoothX) * calmDownSmoothing;
-    smoothY = smoothY + (targetScanY - smoothY) * calmDownSmoothing;
-  } else if (motionDetected && noMotionTimer === 0) {
-    // If motion was just detected, ensure we don't jump directly but smooth towards the target
-    // This is already handled by the smoothing above, but this branch ensures no conflicting calm-down
-    // logic is applied immediately after motion detection.
-  }
-
-  // Display the images
-  image(eyesback, width / 2, height / 2, eyesback.width * eyesbackScale, eyesback.height * eyesbackScale);
-  image(eyeballs, smoothX, smoothY, eyeballs.width * eyeballsScale, eyeballs.height * eyeballsScale);
-  image(eyes, width / 2, height / 2, eyes.width * eyesScale, eyes.height * eyesScale);
-
-  // Copy the current frame to prevFrame for the next iteration's motion comparison
-  prevFrame.copy(capture, 0, 0, capture.width, capture.height, 0, 0, capture.width, capture.height);
+/**
+ * Switches between frame differencing and the learned background modes.
+ * @param {string} mode - 'diff', or one of BACKGROUND_MODES.
+ */
+function setMotionMode(mode) {
+  motionMode = mode;
+  tracker.setMotionMode(mode);
+}
+
+function mousePressed() {
+  if (projectionCalibration.isOpen && capture) {
+    projectionCalibration.mousePressed(capture);
+  }
 }
 
 /**
- * This function is called automatically whenever the browser window is resized.
- * It ensures the canvas and video capture adjust to the new window dimensions.
+ * Whether the tracker is following the camera or a replay, for keys that only apply then. If
+ * not, the status readout says so.
  */
-function windowResized() {
-  // Resize the canvas to the new window dimensions
-  resizeCanvas(windowWidth, windowHeight);
-  // Resize the video capture to match the new canvas dimensions
-  capture.size(width, height);
-
-  // Recalculate scales for the images to cover the entire canvas on resize
-  eyeballsScale = max(width / eyeballs.width, height / eyeballs.height);
-  eyesScale = max(width / eyes.width, height / eyes.height);
-  eyesbackScale = max(width / eyesback.width, height / eyesback.height);
-
-  // Re-initialize motion grid dimensions based on new capture size and stepSize
-  gridWidth = floor(capture.width / stepSize);
-  gridHeight = floor(capture.height / stepSize);
-  motionGrid = Array(gridHeight).fill(0).map(() => Array(gridWidth).fill(0));
-
-  // Reset smoothed positions to the center of the new canvas size
-  smoothX = width / 2;
-  smoothY = height / 2;
+function trackingCamera() {
+  if (input === inputs.camera || input === replay) {
+    return true;
+  }
+  flashStatus('Only with the camera (press I for the camera)');
+  return false;
+}
+
+/**
+ * Keyboard shortcuts: M cycles the motion mode, B relearns the background,
+ * C recalibrates the lighting, S toggles the status readout, K opens the camera calibration,
+ * R starts and stops recording, P replays a recording (P again goes back to the camera),
+ * T opens the settings panel, D shows the debug overlay, N switches to the next camera and
+ * I cycles the input source between the camera, the pointer, a scripted path and another screen,
+ * L listens to the microphone, Q turns the sound on and off, E shows the capture buttons,
+ * A opens the analytics report and Y switches the eyes to the next asset pack.
+ * B, C, K and R only apply to the camera (B and C to a replay too); with another input source
+ * the status readout says so.
+ */
+function keyPressed() {
+  if (settingsPanel.hasFocus()) {
+    return;
+  }
+  if (projectionCalibration.isOpen) {
+    projectionCalibration.keyPressed();
+    return;
+  }
+
+  if (key === 'm' || key === 'M') {
+    let modes = ['diff'].concat(BACKGROUND_MODES);
+    setMotionMode(modes[(modes.indexOf(motionMode) + 1) % modes.length]);
+    flashStatus();
+  } else if (key === 'b' || key === 'B') {
+    if (trackingCamera()) {
+      tracker.relearnBackground();
+    }
+  } else if (key === 'c' || key === 'C') {
+    if (trackingCamera()) {
+      tracker.calibrateLighting();
+    }
+  } else if (key === 's' || key === 'S') {
+    showStatus = !showStatus;
+  } else if (key === 'k' || key === 'K') {
+    if (capture) {
+      projectionCalibration.open(projectionMapping);
+    } else {
+      flashStatus('The camera calibration needs the camera picture');
+    }
+  } else if (key === 'r' || key === 'R') {
+    toggleRecording();
+  } else if (key === 'p' || key === 'P') {
+    if (replay) {
+      stopReplay();
+    } else {
+      pickReplay();
+    }
+  } else if (key === 't' || key === 'T') {
+    settingsPanel.toggle();
+  } else if (key === 'd' || key === 'D') {
+    debugOverlay.toggle();
+  } else if (key === 'n' || key === 'N') {
+    cameraManager.nextCamera();
+  } else if (key === 'i' || key === 'I') {
+    let names = Object.keys(inputs);
+    chooseInput(names[(names.indexOf(chosenInput) + 1) % names.length]);
+    flashStatus();
+  } else if (key === 'l' || key === 'L') {
+    microphone.toggle();
+  } else if (key === 'q' || key === 'Q') {
+    sounds.toggle();
+    settingsPanel.remember();
+  } else if (key === 'e' || key === 'E') {
+    capturer.toggleBar();
+  } else if (key === 'a' || key === 'A') {
+    analyticsReport.toggle();
+  } else if (key === 'y' || key === 'Y') {
+    nextPortraitPack();
+  }
 }
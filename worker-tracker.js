@@ -0,0 +1,163 @@
+// The motion tracker running in a Web Worker (motion-worker.js), so the main thread only has to
+// draw. It offers the parts of MotionTracker's interface the sketches use, but frames are
+// processed asynchronously: gazeX, gazeY and result always hold the latest processed frame.
+// Camera frames are scaled down to the analysis resolution with createImageBitmap and handed
+// over to the worker without copying. While the worker is busy, new camera frames are skipped
+// rather than queued, so a slow analysis never holds up drawing.
+// Depends on motion-tracker.js.
+
+class WorkerTracker extends TrackerEvents {
+  /**
+   * Whether this browser can run the tracker in a worker. Workers cannot be started from pages
+   * opened as local files.
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined' && window.location.protocol !== 'file:';
+  }
+
+  /**
+   * @param {Object} options - As for MotionTracker, except `random`, which cannot be sent to a worker.
+   */
+  constructor(options = {}) {
+    super();
+    this.worker = new Worker('motion-worker.js');
+    this.worker.onmessage = event => this.receive(event.data);
+    this.worker.onerror = event => {
+      console.warn('Motion worker failed', event.message);
+      this.failed = true;
+    };
+    this.worker.postMessage({ type: 'init', options: options });
+
+    this.failed = false; // Set when the worker could not run; the sketch then falls back to MotionTracker
+    this.busy = false; // Whether a camera frame is being processed
+    this.sentAt = 0; // When the camera frame being processed was sent
+    this.motionMode = options.motionMode || 'diff';
+    this.homography = options.homography || mirrorHomography();
+    this.viewWidth = options.viewWidth ?? 640;
+    this.viewHeight = options.viewHeight ?? 480;
+    this.gazeX = this.viewWidth / 2;
+    this.gazeY = this.viewHeight / 2;
+    this.lastSettings = Object.assign({}, options);
+    this.result = null;
+    this.onCells = null; // Called with the grid samples of a camera frame sent with record set
+    this.metrics = {
+      processingTime: 0, // Milliseconds the worker spends on a frame, smoothed
+      latency: 0, // Milliseconds from sending a camera frame to its result, smoothed
+      skippedFrames: 0 // Camera frames skipped because the worker was busy
+    };
+  }
+
+  /**
+   * Sends a camera frame to the worker, unless it is still busy with the previous one.
+   * @param {HTMLVideoElement} video
+   * @param {number} width - The analysis resolution the frame is scaled to.
+   * @param {number} height
+   * @param {number} time - Time of the frame in milliseconds.
+   * @param {function(Object, number)} [onCells] - Given the frame's grid samples and time, for recording.
+   */
+  processVideo(video, width, height, time, onCells) {
+    if (this.busy) {
+      this.metrics.skippedFrames++;
+      return;
+    }
+    this.busy = true;
+    this.sentAt = performance.now();
+    this.onCells = onCells || null;
+    createImageBitmap(video, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' })
+      .then(bitmap => {
+        this.worker.postMessage({ type: 'frame', bitmap: bitmap, time: time, record: !!onCells }, [bitmap]);
+      })
+      .catch(() => {
+        // The video has no frame yet
+        this.busy = false;
+      });
+  }
+
+  /**
+   * Sends grid samples to the worker, e.g. a recorded frame. These are never skipped.
+   */
+  process(cells, time) {
+    // Copied, as the samples of a recorded frame share their buffer with the whole recording
+    cells = Object.assign({}, cells, { data: cells.data.slice() });
+    this.worker.postMessage({ type: 'cells', cells: cells, time: time }, [cells.data.buffer]);
+  }
+
+  receive(message) {
+    if (message.type === 'event') {
+      this.emit(message.name, message.event);
+      return;
+    }
+    let result = message.result;
+    if (message.fromCamera) {
+      // Only camera frames count towards latency; recorded frames are sent in bursts
+      this.metrics.latency = smoothMetric(this.metrics.latency, performance.now() - this.sentAt);
+      this.busy = false;
+      if (message.cells && this.onCells) {
+        this.onCells(message.cells, result.time);
+      }
+    }
+    this.metrics.processingTime = smoothMetric(this.metrics.processingTime, result.processingTime);
+    this.lastSettings = message.settings;
+    this.motionMode = message.settings.motionMode;
+    this.result = result;
+    this.gazeX = result.gazeX;
+    this.gazeY = result.gazeY;
+    this.emit('frame', result);
+  }
+
+  call(method, ...args) {
+    this.worker.postMessage({ type: 'call', method: method, args: args });
+  }
+
+  settings() {
+    return this.lastSettings;
+  }
+
+  configure(settings) {
+    Object.assign(this.lastSettings, settings);
+    if (settings.motionMode !== undefined) {
+      this.motionMode = settings.motionMode;
+    }
+    this.call('configure', settings);
+  }
+
+  setView(viewWidth, viewHeight) {
+    this.viewWidth = viewWidth;
+    this.viewHeight = viewHeight;
+    this.gazeX = viewWidth / 2;
+    this.gazeY = viewHeight / 2;
+    this.call('setView', viewWidth, viewHeight);
+  }
+
+  setHomography(homography) {
+    this.homography = homography;
+    this.call('setHomography', homography);
+  }
+
+  setMotionMode(mode) {
+    this.motionMode = mode;
+    this.call('setMotionMode', mode);
+  }
+
+  relearnBackground() {
+    this.call('relearnBackground');
+  }
+
+  calibrateLighting() {
+    this.call('calibrateLighting');
+  }
+
+  reset() {
+    this.gazeX = this.viewWidth / 2;
+    this.gazeY = this.viewHeight / 2;
+    this.call('reset');
+  }
+
+  /**
+   * Stops the worker. The tracker cannot be used afterwards.
+   */
+  terminate() {
+    this.worker.terminate();
+  }
+}